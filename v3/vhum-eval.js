@@ -0,0 +1,534 @@
+/**
+ * vhum v3 - Synthetic traces and offline evaluation (Node)
+ * Generates labeled sessions for common automation styles and human motor
+ * models, scores them with VhumAnalyzer and reports ROC/AUC, EER, confusion
+ * matrices at the configured thresholds and per-feature separability.
+ *
+ * Usage:
+ *   const VhumEvaluator = require('./vhum-eval.js');
+ *   const corpus = VhumEvaluator.corpus({ seed: 7, count: 200 });
+ *   const report = new VhumEvaluator().evaluate(corpus);
+ *   console.log(VhumEvaluator.format(report));
+ *
+ *   node v3/vhum-eval.js --seed 7 --count 200 --min-auc 0.9   # exit code 1 below the floor
+ *   node v3/vhum-eval.js --max-fpr 0.1 --min-accuracy 0.8      # also gated at the configured thresholds
+ */
+
+const Vhum = require('./vhum.js');
+
+class TraceGenerator {
+    static BOTS = {
+        mouse: ['teleport', 'linear', 'bezier', 'puppeteer', 'humanizer'],
+        touch: ['touchTeleport', 'touchScripted', 'touchEmulated']
+    };
+
+    static HUMANS = {
+        mouse: ['minimumJerk'],
+        touch: ['touchTap']
+    };
+
+    constructor(seed = 1) {
+        // mulberry32: small, fast and reproducible across Node versions
+        let state = seed >>> 0;
+        this.random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    uniform(min, max) {
+        return min + (max - min) * this.random();
+    }
+
+    gaussian(mean = 0, sd = 1) {
+        const u = Math.max(1e-12, this.random());
+        return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random());
+    }
+
+    generate(kind) {
+        if (typeof this[kind] !== 'function' || kind === 'generate') {
+            throw new Error('TraceGenerator: unknown kind ' + kind);
+        }
+        const isBot = Object.values(TraceGenerator.BOTS).some(kinds => kinds.includes(kind));
+        return { kind, verdict: isBot ? 0 : 1, session: this[kind]() };
+    }
+
+    // Checkbox-sized target somewhere on a 1280x800 viewport, entry 150-450 px away
+    _layout(size = 24) {
+        const target = { left: this.uniform(300, 900), top: this.uniform(200, 550), width: size, height: size };
+        const center = { x: target.left + size / 2, y: target.top + size / 2 };
+        const angle = this.uniform(0, 2 * Math.PI);
+        const distance = this.uniform(150, 450);
+        const entry = {
+            x: Math.max(0, Math.min(1280, center.x + Math.cos(angle) * distance)),
+            y: Math.max(0, Math.min(800, center.y + Math.sin(angle) * distance))
+        };
+        return { target, center, entry, t0: this.uniform(1000, 5000) };
+    }
+
+    _session(source, layout, approach, points, t_entry, t_down, t_up) {
+        return {
+            points,
+            keys: [],
+            focus: [],
+            approach,
+            inputSource: source,
+            entry: { x: layout.entry.x, y: layout.entry.y },
+            t_entry,
+            t_down,
+            t_up,
+            target: { ...layout.target }
+        };
+    }
+
+    _line(from, to, steps, t0, dt) {
+        const pts = [];
+        for (let i = 1; i <= steps; i++) {
+            pts.push({ x: from.x + (to.x - from.x) * i / steps, y: from.y + (to.y - from.y) * i / steps, t: t0 + i * dt });
+        }
+        return pts;
+    }
+
+    _bezier(from, to, bow) {
+        const dx = to.x - from.x, dy = to.y - from.y;
+        const c1 = { x: from.x + dx / 3 - dy * bow, y: from.y + dy / 3 + dx * bow };
+        const c2 = { x: from.x + 2 * dx / 3 - dy * bow, y: from.y + 2 * dy / 3 + dx * bow };
+        return (s) => {
+            const r = 1 - s;
+            return {
+                x: r*r*r * from.x + 3*r*r*s * c1.x + 3*r*s*s * c2.x + s*s*s * to.x,
+                y: r*r*r * from.y + 3*r*r*s * c1.y + 3*r*s*s * c2.y + s*s*s * to.y
+            };
+        };
+    }
+
+    // --- Automation ---
+
+    // element.click() / dispatchEvent at the exact center, no trajectory
+    teleport() {
+        const layout = this._layout();
+        const t_down = layout.t0 + this.uniform(0, 2);
+        const t_up = t_down + this.uniform(0, 1);
+        layout.entry = { ...layout.center };
+        return this._session('mouse', layout, [], [{ ...layout.center, t: t_down }], layout.t0, t_down, t_up);
+    }
+
+    // Straight-line interpolation at a fixed frame interval
+    linear() {
+        const layout = this._layout();
+        const dt = [10, 16.67, 20][Math.floor(this.random() * 3)];
+        const approach = this._line(layout.entry, layout.center, Math.round(this.uniform(15, 40)), layout.t0, dt);
+        const t_down = approach[approach.length - 1].t + dt;
+        const press = [{ ...layout.center, t: t_down }, { ...layout.center, t: t_down + dt }];
+        return this._session('mouse', layout, approach, press, layout.t0, t_down, t_down + 2 * dt);
+    }
+
+    // Curved Bezier path sampled at uniform parameter steps with fixed timing
+    bezier() {
+        const layout = this._layout();
+        const curve = this._bezier(layout.entry, layout.center, this.uniform(-0.3, 0.3));
+        const steps = Math.round(this.uniform(20, 50));
+        const dt = 16.67;
+        const approach = [];
+        for (let i = 1; i <= steps; i++) approach.push({ ...curve(i / steps), t: layout.t0 + i * dt });
+        const t_down = layout.t0 + (steps + 1) * dt;
+        const press = [];
+        for (let i = 0; i < 4; i++) press.push({ ...layout.center, t: t_down + i * dt });
+        return this._session('mouse', layout, approach, press, layout.t0, t_down, t_down + 4 * dt);
+    }
+
+    // page.mouse.move(x, y, { steps }) then page.mouse.down()/up(): every step
+    // is dispatched in the same task, sub-millisecond apart
+    puppeteer() {
+        const layout = this._layout();
+        const steps = Math.round(this.uniform(5, 25));
+        const approach = this._line(layout.entry, layout.center, steps, layout.t0, this.uniform(0.05, 0.4));
+        const t_down = approach[approach.length - 1].t + this.uniform(0.1, 1);
+        const t_up = t_down + this.uniform(0.1, 2);
+        return this._session('mouse', layout, approach, [{ ...layout.center, t: t_down }], layout.t0, t_down, t_up);
+    }
+
+    // Humanizer libraries: Bezier + easing, Gaussian position noise, Gaussian
+    // frame timing and a randomized click offset and dwell
+    humanizer() {
+        const layout = this._layout();
+        const W = layout.target.width;
+        const curve = this._bezier(layout.entry, layout.center, this.uniform(-0.25, 0.25));
+        const steps = Math.round(this.uniform(25, 60));
+        const approach = [];
+        let t = layout.t0;
+        for (let i = 1; i <= steps; i++) {
+            const s = i / steps;
+            const eased = s < 0.5 ? 2 * s * s : 1 - Math.pow(-2 * s + 2, 2) / 2;
+            const p = curve(eased);
+            t += Math.max(4, this.gaussian(16, 4));
+            approach.push({ x: p.x + this.gaussian(0, 1.5), y: p.y + this.gaussian(0, 1.5), t });
+        }
+        const click = { x: layout.center.x + this.gaussian(0, W * 0.15), y: layout.center.y + this.gaussian(0, W * 0.15) };
+        const t_down = t + this.uniform(80, 300);
+        const dwell = this.uniform(60, 160);
+        const press = [];
+        for (let pt = t_down; pt < t_down + dwell; pt += Math.max(4, this.gaussian(16, 4))) {
+            press.push({ x: click.x + this.gaussian(0, 0.8), y: click.y + this.gaussian(0, 0.8), t: pt });
+        }
+        return this._session('mouse', layout, approach, press, layout.t0, t_down, t_down + dwell);
+    }
+
+    // Touch.radiusX/Y, rotationAngle and force as automation tools fill them
+    // in: DevTools protocol defaults (1 px, force 1) or all zeros
+    _emulatedContact() {
+        return this.random() < 0.5 ?
+            { identifier: 0, radiusX: 1, radiusY: 1, rotationAngle: 0, force: 1 } :
+            { identifier: 0, radiusX: 0, radiusY: 0, rotationAngle: 0, force: 0 };
+    }
+
+    // Touch dispatched from script: one touchstart/touchend pair
+    touchTeleport() {
+        const layout = this._layout(44);
+        layout.entry = { ...layout.center };
+        const t_down = layout.t0;
+        const point = { ...layout.center, t: t_down, ...this._emulatedContact() };
+        return this._session('touch', layout, [], [point], t_down, t_down, t_down + this.uniform(0, 5));
+    }
+
+    // Scripted touch with frame-locked touchmove and no contact drift
+    touchScripted() {
+        const layout = this._layout(44);
+        layout.entry = { ...layout.center };
+        const t_down = layout.t0;
+        const frames = Math.round(this.uniform(6, 12));
+        const contact = this._emulatedContact();
+        const points = [];
+        for (let i = 0; i <= frames; i++) points.push({ ...layout.center, t: t_down + i * 16.67, ...contact });
+        return this._session('touch', layout, [], points, t_down, t_down, t_down + (frames + 1) * 16.67);
+    }
+
+    // Human tap replayed through touch emulation: recorded motion, but the
+    // contact geometry is the tool's constant
+    touchEmulated() {
+        const session = this.touchTap();
+        const contact = this._emulatedContact();
+        session.points = session.points.map(p => ({ x: p.x, y: p.y, t: p.t, ...contact }));
+        return session;
+    }
+
+    // --- Human motor models ---
+
+    // Physiological tremor (8-12 Hz) over AR(1) drift: correlated, not white
+    _tremor() {
+        const hz = this.uniform(8, 12);
+        const amp = this.uniform(0.2, 0.6);
+        const phase = this.uniform(0, 2 * Math.PI);
+        let dx = 0, dy = 0;
+        return (t) => {
+            dx = 0.85 * dx + this.gaussian(0, 0.25);
+            dy = 0.85 * dy + this.gaussian(0, 0.25);
+            const w = 2 * Math.PI * hz * t / 1000;
+            return { x: amp * Math.sin(w + phase) + dx, y: amp * Math.cos(w + phase * 1.3) + dy };
+        };
+    }
+
+    // Mouse polling (~125 Hz) with scheduling jitter
+    _sampleInterval() {
+        return Math.max(2, this.gaussian(8, 1.5));
+    }
+
+    // Minimum-jerk primary submovement (duration from Fitts' law) followed by
+    // one or two corrective submovements, with tremor and a pause before the press
+    minimumJerk() {
+        const layout = this._layout();
+        const W = layout.target.width;
+        const final = { x: layout.center.x + this.gaussian(0, W * 0.18), y: layout.center.y + this.gaussian(0, W * 0.18) };
+        const D = Math.hypot(final.x - layout.entry.x, final.y - layout.entry.y);
+        const ID = Math.log2(2 * D / W + 1);
+        const tremor = this._tremor();
+
+        const reach = this.uniform(0.9, 1.06);
+        const bow = this.uniform(-0.12, 0.12);
+        const primary = {
+            x: layout.entry.x + (final.x - layout.entry.x) * reach - (final.y - layout.entry.y) * bow * 0.1,
+            y: layout.entry.y + (final.y - layout.entry.y) * reach + (final.x - layout.entry.x) * bow * 0.1
+        };
+        const moves = [[layout.entry, primary, 120 + 130 * ID * this.uniform(0.85, 1.2)]];
+        let from = primary;
+        const corrections = 1 + Math.floor(this.random() * 2);
+        for (let i = 0; i < corrections; i++) {
+            const to = i === corrections - 1 ? final :
+                { x: final.x + this.gaussian(0, W * 0.3), y: final.y + this.gaussian(0, W * 0.3) };
+            moves.push([from, to, this.uniform(90, 200)]);
+            from = to;
+        }
+
+        const approach = [];
+        let t = layout.t0;
+        moves.forEach(([a, b, duration], i) => {
+            const start = t;
+            if (i > 0) t += this.uniform(20, 60); // dwell between submovements
+            const begin = t;
+            while (t - begin < duration) {
+                t += this._sampleInterval();
+                const s = Math.min(1, (t - begin) / duration);
+                const f = 10 * s*s*s - 15 * s*s*s*s + 6 * s*s*s*s*s;
+                const n = tremor(t);
+                approach.push({ x: a.x + (b.x - a.x) * f + n.x, y: a.y + (b.y - a.y) * f + n.y, t });
+            }
+            if (t === start) approach.push({ ...b, t });
+        });
+
+        const t_down = t + this.uniform(120, 400);
+        const dwell = Math.exp(this.gaussian(Math.log(95), 0.3));
+        const press = [];
+        for (let pt = t_down; pt < t_down + dwell; pt += this._sampleInterval()) {
+            const n = tremor(pt);
+            press.push({ x: final.x + n.x * 0.6, y: final.y + n.y * 0.6, t: pt });
+        }
+        return this._session('mouse', layout, approach, press, layout.t0, t_down, t_down + dwell);
+    }
+
+    // Finger contact: rolling drift plus tremor, touch events near 60 Hz. The
+    // fingertip flattens as it presses (radius grows ~25% in 60 ms) and its
+    // force ramps up after touchstart and down before touchend.
+    touchTap() {
+        const layout = this._layout(44);
+        const W = layout.target.width;
+        const contact = { x: layout.center.x + this.gaussian(0, W * 0.2), y: layout.center.y + this.gaussian(0, W * 0.2) };
+        layout.entry = { ...contact };
+        const tremor = this._tremor();
+        const roll = { x: this.gaussian(0, 1.5), y: this.gaussian(0, 1.5) };
+        const radius = this.uniform(8, 14);
+        const angle = this.uniform(0, 90);
+        const peak = this.uniform(0.3, 0.8);
+        const t_down = layout.t0;
+        const dwell = this.uniform(90, 260);
+        const points = [];
+        for (let t = t_down; t < t_down + dwell; t += Math.max(4, this.gaussian(16.67, 2.5))) {
+            const s = (t - t_down) / dwell;
+            const n = tremor(t);
+            const press = Math.min(1, (t - t_down) / 60, (t_down + dwell - t) / 40);
+            points.push({
+                x: contact.x + roll.x * s + n.x,
+                y: contact.y + roll.y * s + n.y,
+                t,
+                identifier: 0,
+                radiusX: radius * (1 + 0.25 * press) + this.gaussian(0, 0.3),
+                radiusY: radius * 0.8 * (1 + 0.25 * press) + this.gaussian(0, 0.3),
+                rotationAngle: angle + this.gaussian(0, 2),
+                force: Math.max(0, peak * (0.3 + 0.7 * press) + this.gaussian(0, 0.02))
+            });
+        }
+        return this._session('touch', layout, [], points, t_down, t_down, t_down + dwell);
+    }
+}
+
+class VhumEvaluator {
+    /**
+     * Balanced labeled corpus: `count` sessions per class and input type,
+     * spread evenly over the generator kinds.
+     */
+    static corpus({ seed = 1, count = 100, inputTypes = ['mouse', 'touch'] } = {}) {
+        const generator = new TraceGenerator(seed);
+        const corpus = [];
+        inputTypes.forEach(type => {
+            [TraceGenerator.BOTS[type], TraceGenerator.HUMANS[type]].forEach(kinds => {
+                for (let i = 0; i < count; i++) corpus.push(generator.generate(kinds[i % kinds.length]));
+            });
+        });
+        return corpus;
+    }
+
+    constructor(options = {}) {
+        this.analyzer = new Vhum.VhumAnalyzer(options);
+    }
+
+    score(corpus) {
+        return corpus.map(sample => {
+            const session = sample.session.v !== undefined ? Vhum.parseTrace(sample.session) : sample.session;
+            const result = this.analyzer.analyze(session);
+            return {
+                kind: sample.kind || 'trace',
+                verdict: sample.verdict,
+                inputType: result.inputType,
+                probability: result.probability,
+                predicted: result.verdict,
+                thresholdUsed: result.thresholdUsed,
+                inputs: result.inputs,
+                analysisDetails: result.analysisDetails
+            };
+        });
+    }
+
+    /**
+     * Bots are the positive class throughout (probability is the bot score).
+     */
+    evaluate(corpus) {
+        const rows = this.score(corpus);
+        const types = {};
+        [...new Set(rows.map(r => r.inputType))].forEach(type => {
+            const group = rows.filter(r => r.inputType === type);
+            const bots = group.filter(r => r.verdict === 0);
+            const humans = group.filter(r => r.verdict === 1);
+            const roc = VhumEvaluator.roc(group.map(r => r.probability), group.map(r => r.verdict === 0));
+            types[type] = {
+                samples: group.length,
+                bots: bots.length,
+                humans: humans.length,
+                auc: VhumEvaluator.auc(bots.map(r => r.probability), humans.map(r => r.probability)),
+                eer: VhumEvaluator.eer(roc),
+                confusion: VhumEvaluator.confusion(group, this.analyzer.thresholdFor(type)),
+                separability: VhumEvaluator.separability(bots, humans),
+                roc
+            };
+        });
+
+        const kinds = {};
+        rows.forEach(r => {
+            const k = kinds[r.kind] = kinds[r.kind] || { verdict: r.verdict, count: 0, correct: 0, uncertain: 0, probability: 0 };
+            k.count++;
+            k.probability += r.probability;
+            if (r.predicted === 2) k.uncertain++;
+            else if (r.predicted === r.verdict) k.correct++;
+        });
+        Object.values(kinds).forEach(k => {
+            k.accuracy = k.correct / k.count;
+            k.probability /= k.count;
+        });
+
+        return { samples: rows.length, types, kinds };
+    }
+
+    // Points sorted by descending threshold, from (0, 0) to (1, 1)
+    static roc(scores, positives) {
+        const order = scores.map((s, i) => i).sort((a, b) => scores[b] - scores[a]);
+        const P = positives.filter(Boolean).length;
+        const N = positives.length - P;
+        const curve = [{ threshold: Infinity, tpr: 0, fpr: 0 }];
+        let tp = 0, fp = 0;
+        order.forEach((idx, i) => {
+            if (positives[idx]) tp++; else fp++;
+            const next = order[i + 1];
+            if (next !== undefined && scores[next] === scores[idx]) return;
+            curve.push({ threshold: scores[idx], tpr: P ? tp / P : 0, fpr: N ? fp / N : 0 });
+        });
+        return curve;
+    }
+
+    // Mann-Whitney U: probability a random positive outranks a random negative
+    static auc(positive, negative) {
+        if (!positive.length || !negative.length) return NaN;
+        let wins = 0;
+        positive.forEach(p => negative.forEach(n => {
+            wins += p > n ? 1 : p === n ? 0.5 : 0;
+        }));
+        return wins / (positive.length * negative.length);
+    }
+
+    static eer(roc) {
+        let best = { rate: 1, threshold: null, gap: Infinity };
+        roc.forEach(point => {
+            const fnr = 1 - point.tpr;
+            const gap = Math.abs(fnr - point.fpr);
+            if (gap < best.gap) best = { rate: (fnr + point.fpr) / 2, threshold: point.threshold, gap };
+        });
+        return { rate: best.rate, threshold: best.threshold };
+    }
+
+    // Binary matrix at the threshold; uncertain verdicts are counted apart
+    static confusion(rows, threshold) {
+        const m = { threshold, tp: 0, fn: 0, fp: 0, tn: 0, uncertain: 0 };
+        rows.forEach(r => {
+            const flagged = r.probability > threshold;
+            if (r.verdict === 0) flagged ? m.tp++ : m.fn++;
+            else flagged ? m.fp++ : m.tn++;
+            if (r.predicted === 2) m.uncertain++;
+        });
+        const total = m.tp + m.fn + m.fp + m.tn;
+        m.accuracy = total ? (m.tp + m.tn) / total : NaN;
+        m.tpr = m.tp + m.fn ? m.tp / (m.tp + m.fn) : NaN;
+        m.fpr = m.fp + m.tn ? m.fp / (m.fp + m.tn) : NaN;
+        return m;
+    }
+
+    // Single-feature AUC and Cohen's d, most separating first
+    static separability(bots, humans) {
+        const features = new Set();
+        bots.concat(humans).forEach(r => Object.keys(r.inputs).forEach(f => features.add(f)));
+        const stats = (values) => {
+            const mean = values.reduce((a,b)=>a+b,0) / (values.length || 1);
+            const variance = values.reduce((a,b)=>a+Math.pow(b-mean,2),0) / (values.length || 1);
+            return { mean, variance };
+        };
+        return [...features].map(feature => {
+            const b = bots.map(r => r.inputs[feature] || 0);
+            const h = humans.map(r => r.inputs[feature] || 0);
+            const sb = stats(b), sh = stats(h);
+            const pooled = Math.sqrt((sb.variance + sh.variance) / 2);
+            return {
+                feature,
+                auc: VhumEvaluator.auc(b, h),
+                d: pooled > 0 ? (sb.mean - sh.mean) / pooled : (sb.mean === sh.mean ? 0 : Math.sign(sb.mean - sh.mean) * Infinity),
+                botMean: sb.mean,
+                humanMean: sh.mean
+            };
+        }).sort((x, y) => Math.abs(y.auc - 0.5) - Math.abs(x.auc - 0.5));
+    }
+
+    /**
+     * Regressions against the floors, per input type: AUC alone misses a
+     * model that ranks well but sits on the wrong side of its threshold.
+     */
+    static gate(report, { minAuc = 0, maxFpr = 1, minAccuracy = 0 } = {}) {
+        const failures = [];
+        Object.entries(report.types).forEach(([type, r]) => {
+            if (!(r.auc >= minAuc)) failures.push(`${type} AUC ${r.auc.toFixed(3)} < ${minAuc}`);
+            if (!(r.confusion.fpr <= maxFpr)) failures.push(`${type} FPR ${r.confusion.fpr.toFixed(3)} > ${maxFpr}`);
+            if (!(r.confusion.accuracy >= minAccuracy)) failures.push(`${type} accuracy ${r.confusion.accuracy.toFixed(3)} < ${minAccuracy}`);
+        });
+        return failures;
+    }
+
+    static format(report) {
+        const f = (v, d = 3) => typeof v === 'number' && isFinite(v) ? v.toFixed(d) : String(v);
+        const lines = [`vhum evaluation: ${report.samples} sessions`];
+        Object.entries(report.types).forEach(([type, r]) => {
+            const c = r.confusion;
+            lines.push('', `[${type}] ${r.bots} bots / ${r.humans} humans`);
+            lines.push(`  AUC ${f(r.auc)}   EER ${f(r.eer.rate)} @ ${f(r.eer.threshold)}`);
+            lines.push(`  threshold ${f(c.threshold, 2)}: TP ${c.tp}  FN ${c.fn}  FP ${c.fp}  TN ${c.tn}  ` +
+                `(acc ${f(c.accuracy)}, tpr ${f(c.tpr)}, fpr ${f(c.fpr)}, uncertain ${c.uncertain})`);
+            lines.push('  separability (feature: AUC, d):');
+            r.separability.forEach(s => lines.push(`    ${s.feature.padEnd(16)} ${f(s.auc)}  ${f(s.d, 2)}`));
+        });
+        lines.push('', 'by generator (accuracy, uncertain, mean probability):');
+        Object.entries(report.kinds).forEach(([kind, k]) => {
+            lines.push(`  ${(k.verdict === 0 ? 'bot   ' : 'human ') + kind.padEnd(14)} ${f(k.accuracy)}  ${k.uncertain}/${k.count}  ${f(k.probability)}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+VhumEvaluator.TraceGenerator = TraceGenerator;
+
+module.exports = VhumEvaluator;
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const arg = (name, fallback) => {
+        const i = args.indexOf('--' + name);
+        return i >= 0 && args[i + 1] !== undefined ? Number(args[i + 1]) : fallback;
+    };
+    const report = new VhumEvaluator().evaluate(VhumEvaluator.corpus({ seed: arg('seed', 1), count: arg('count', 100) }));
+    console.log(VhumEvaluator.format(report));
+
+    const failures = VhumEvaluator.gate(report, {
+        minAuc: arg('min-auc', 0),
+        maxFpr: arg('max-fpr', 1),
+        minAccuracy: arg('min-accuracy', 0)
+    });
+    if (failures.length) {
+        console.error('Gate failed: ' + failures.join(', '));
+        process.exitCode = 1;
+    }
+}
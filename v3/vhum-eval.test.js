@@ -0,0 +1,39 @@
+/**
+ * Tests for the offline evaluator. The synthetic corpus only guards against
+ * ranking regressions; it is not a calibration set. Run with: node --test v3/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const VhumEvaluator = require('./vhum-eval.js');
+
+const report = new VhumEvaluator().evaluate(VhumEvaluator.corpus({ seed: 7, count: 100 }));
+
+test('corpus is reproducible from its seed', () => {
+    const a = VhumEvaluator.corpus({ seed: 3, count: 10 });
+    const b = VhumEvaluator.corpus({ seed: 3, count: 10 });
+    assert.deepStrictEqual(a, b);
+});
+
+test('shipped models still rank synthetic bots above humans', () => {
+    assert.deepStrictEqual(VhumEvaluator.gate(report, { minAuc: 0.85 }), []);
+});
+
+test('confusion counts bots as positives and uncertain verdicts apart', () => {
+    const rows = [
+        { verdict: 0, probability: 0.9, predicted: 0 },
+        { verdict: 0, probability: 0.4, predicted: 1 },
+        { verdict: 1, probability: 0.7, predicted: 2 },
+        { verdict: 1, probability: 0.1, predicted: 1 }
+    ];
+    const m = VhumEvaluator.confusion(rows, 0.5);
+    assert.deepStrictEqual([m.tp, m.fn, m.fp, m.tn, m.uncertain], [1, 1, 1, 1, 1]);
+    assert.strictEqual(m.fpr, 0.5);
+    assert.strictEqual(VhumEvaluator.auc([0.9, 0.4], [0.7, 0.1]), 0.75);
+});
+
+test('gate reports an AUC that ranks well but a threshold on the wrong side', () => {
+    const failures = VhumEvaluator.gate({ types: { touch: { auc: 0.93, confusion: { fpr: 0.95, accuracy: 0.52 } } } },
+        { minAuc: 0.85, maxFpr: 0.2 });
+    assert.deepStrictEqual(failures, ['touch FPR 0.950 > 0.2']);
+});
@@ -0,0 +1,215 @@
+/**
+ * vhum v3 - Reference server-side token verifier (Node)
+ * Issues single-use challenges and validates tokens produced by
+ * Vhum.createToken(): checks the HMAC, expiry and replay, then re-runs
+ * the analysis on the submitted trace and rejects inconsistent features.
+ *
+ * The per-nonce HMAC key is handed to the client, so a valid signature
+ * only proves the token is fresh and single-use, not where the trace came
+ * from. The server-side replay is the real check, which is why the
+ * client-supplied environment, baseline and calibration are vetted first.
+ * Step-up challenge parameters are issued here and bound into the key, so a
+ * trace is only scored as a challenge the server actually handed out.
+ *
+ * Usage:
+ *   const verifier = new VhumVerifier({ secret: process.env.VHUM_SECRET });
+ *   res.json(verifier.issueChallenge());          // -> new Vhum({ challenge })
+ *   const check = await verifier.verify(req.body.vhumToken);
+ *   if (!check.valid) console.log(check.reason);  // 'bad_signature', 'replayed', ...
+ */
+
+const crypto = require('crypto');
+const Vhum = require('./vhum.js');
+
+class MemoryNonceStore {
+    constructor() {
+        this.used = new Map();
+    }
+
+    has(nonce) {
+        return this.used.has(nonce);
+    }
+
+    add(nonce, expires) {
+        this.used.set(nonce, expires);
+        // Expired nonces are rejected on their own, no need to keep them
+        const now = Date.now();
+        this.used.forEach((exp, n) => {
+            if (exp < now) this.used.delete(n);
+        });
+    }
+}
+
+class VhumVerifier {
+    constructor(options = {}) {
+        if (!options.secret) throw new Error('VhumVerifier: a server secret is required');
+        this.options = {
+            ttl: 120000,
+            maxSkew: 30000,
+            tolerance: 1e-9,
+            // Accepted scale for the trace's `cal` (zoom * reference density /
+            // pxPerMm) before VhumAnalyzer clamps it; covers page zoom up to 400%
+            calibrationRange: [0.25, 4],
+            // Replay cost bounds: samples across points/approach/keys/focus, and
+            // the time they span (ms)
+            maxSamples: 4096,
+            maxDuration: 120000,
+            // Step-up challenges issued with each nonce (false for none)
+            stepUp: Object.keys(Vhum.VhumChallenge.TYPES),
+            store: new MemoryNonceStore(),
+            ...options
+        };
+    }
+
+    issueChallenge() {
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        const expires = Date.now() + this.options.ttl;
+        const stepUp = this._stepUp();
+        return { nonce, expires, key: this._deriveKey(nonce, expires, stepUp).toString('base64url'), ...(stepUp ? { stepUp } : {}) };
+    }
+
+    _stepUp() {
+        const types = this.options.stepUp || [];
+        if (!types.length) return null;
+        const params = Vhum.VhumChallenge.params(() => crypto.randomBytes(4).readUInt32BE() / 0x100000000);
+        return Object.fromEntries(types.map(type => [type, params[type]]));
+    }
+
+    _deriveKey(nonce, expires, stepUp) {
+        return crypto.createHmac('sha256', this.options.secret)
+            .update(nonce + '.' + expires + (stepUp ? '.' + JSON.stringify(stepUp) : '')).digest();
+    }
+
+    _reject(reason, extra = {}) {
+        return { valid: false, reason, ...extra };
+    }
+
+    async verify(token) {
+        if (typeof token !== 'string' || token.split('.').length !== 2) return this._reject('malformed');
+        const [body, signature] = token.split('.');
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        } catch (e) {
+            return this._reject('malformed');
+        }
+        if (!payload || payload.v !== Vhum.TOKEN_VERSION) return this._reject('bad_version');
+        if (typeof payload.nonce !== 'string' || typeof payload.expires !== 'number' || !payload.trace) {
+            return this._reject('malformed');
+        }
+
+        const expected = crypto.createHmac('sha256', this._deriveKey(payload.nonce, payload.expires, payload.stepUp))
+            .update(body).digest();
+        const given = Buffer.from(signature, 'base64url');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return this._reject('bad_signature');
+        }
+
+        const now = Date.now();
+        if (now > payload.expires) return this._reject('expired');
+        if (typeof payload.ts !== 'number' || payload.ts > payload.expires + this.options.maxSkew ||
+            payload.ts < payload.expires - this.options.ttl - this.options.maxSkew) {
+            return this._reject('bad_timestamp');
+        }
+
+        const store = this.options.store;
+        if (await store.has(payload.nonce)) return this._reject('replayed');
+        await store.add(payload.nonce, payload.expires);
+
+        const bounded = this._bounded(payload.trace);
+        if (bounded) return this._reject(bounded);
+
+        const vetted = this._vet(payload.trace, payload.stepUp);
+        if (vetted) return this._reject(vetted);
+
+        let result;
+        try {
+            result = Vhum.replay(payload.trace, this.options);
+        } catch (e) {
+            return this._reject('malformed');
+        }
+
+        // Live scoring saw samples a truncated trace no longer has, so only
+        // the retained tail is scored and the claim can't be compared
+        const truncated = payload.trace.dropped > 0;
+        const claimed = payload.trace.result;
+        if (!claimed || (!truncated && !this._consistent(claimed, result))) {
+            return this._reject('inconsistent_features', { result });
+        }
+        if (result.verdict === Vhum.VERDICT.UNCERTAIN) return this._reject('uncertain_verdict', { result });
+        if (result.verdict !== Vhum.VERDICT.HUMAN) return this._reject('bot_verdict', { result });
+
+        return { valid: true, reason: null, result };
+    }
+
+    // Checked before replaying, which would otherwise run on any size of trace
+    _bounded(trace) {
+        const lists = [trace.points, trace.approach || [], trace.keys || [], trace.focus || []];
+        if (!lists.every(Array.isArray)) return 'malformed';
+        if (lists.reduce((n, list) => n + list.length, 0) > this.options.maxSamples) return 'oversized';
+
+        const times = [trace.t_down, trace.t_up];
+        trace.points.concat(trace.approach || []).forEach(p => times.push(Array.isArray(p) ? p[2] : NaN));
+        if (!times.every(Number.isFinite)) return 'malformed';
+        if (Math.max(...times) - Math.min(...times) > this.options.maxDuration) return 'oversized';
+        return null;
+    }
+
+    /**
+     * Client-supplied inputs to the replay. Environment values must come from
+     * checks registered here. The baseline snapshot can only add bot evidence
+     * (its anomaly is 0..1 on a positive weight), so only its shape is
+     * checked. Calibration rescales every kinematic feature, so its scale
+     * must stay within calibrationRange. A challenge must be one issued with
+     * the nonce, laid out from its signed parameters.
+     */
+    _vet(trace, stepUp) {
+        const env = trace.env || {};
+        if (typeof env !== 'object' || Object.keys(env).some(name =>
+            !Object.prototype.hasOwnProperty.call(Vhum.VhumEnvironment.CHECKS, name) || !Number.isFinite(env[name]))) {
+            return 'unknown_environment';
+        }
+
+        if (trace.bl) {
+            const stats = trace.bl.stats;
+            const valid = Number.isFinite(trace.bl.n) && stats && typeof stats === 'object' &&
+                Object.keys(stats).every(name => Array.isArray(stats[name]) &&
+                    Number.isFinite(stats[name][0]) && Number.isFinite(stats[name][1]) && stats[name][1] >= 0);
+            if (!valid) return 'malformed_baseline';
+        }
+
+        if (trace.cal) {
+            const { pxPerMm, zoom } = trace.cal;
+            if (!(Number.isFinite(pxPerMm) && pxPerMm > 0) || (zoom !== undefined && !(Number.isFinite(zoom) && zoom > 0))) {
+                return 'implausible_calibration';
+            }
+            const scale = (zoom || 1) * Vhum.VhumAnalyzer.REFERENCE_PX_PER_MM / pxPerMm;
+            const [min, max] = this.options.calibrationRange;
+            if (scale < min || scale > max) return 'implausible_calibration';
+        }
+
+        if (trace.challenge) {
+            const issued = stepUp && typeof trace.challenge === 'object' && stepUp[trace.challenge.type];
+            if (!issued) return 'unissued_challenge';
+            if (!Vhum.VhumChallenge.matches(trace.challenge, issued)) return 'mismatched_challenge';
+            if (trace.src === 'keyboard' && !Vhum.VhumAnalyzer.KEYBOARD_CHALLENGES.includes(trace.challenge.type)) {
+                return 'unsupported_challenge';
+            }
+        }
+        return null;
+    }
+
+    _consistent(claimed, result) {
+        if (claimed.verdict !== result.verdict || claimed.inputType !== result.inputType) return false;
+        if (Math.abs(claimed.probability - result.probability) > this.options.tolerance) return false;
+        const inputs = claimed.inputs || {};
+        return Object.keys(result.inputs).every(key =>
+            Math.abs((inputs[key] || 0) - result.inputs[key]) <= this.options.tolerance
+        );
+    }
+}
+
+VhumVerifier.MemoryNonceStore = MemoryNonceStore;
+
+module.exports = VhumVerifier;
@@ -0,0 +1,162 @@
+/**
+ * Tests for the reference verifier. Run with: node --test v3/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Vhum = require('./vhum.js');
+const VhumVerifier = require('./vhum-verify.js');
+const { TraceGenerator } = require('./vhum-eval.js');
+
+// Every input of a bot gesture set to its "human" value through the
+// environment block, which the client controls
+function zeroedEnvironment(session) {
+    const inputs = new Vhum.VhumAnalyzer().analyze(session).inputs;
+    return Object.fromEntries(Object.keys(inputs).map(name => [name, 0]));
+}
+
+// What such a client would submit: the tampered trace and a result that
+// matches an honest replay of it
+async function tamperedToken(verifier) {
+    const session = new TraceGenerator(3).generate('linear').session;
+    session.environment = zeroedEnvironment(session);
+    const trace = Vhum.serializeTrace(session, Vhum.replay(Vhum.serializeTrace(session)));
+    return Vhum.createToken(trace, verifier.issueChallenge());
+}
+
+test('environment values cannot overwrite kinematic inputs', () => {
+    const session = new TraceGenerator(3).generate('linear').session;
+    const honest = new Vhum.VhumAnalyzer().analyze(session);
+    const tampered = new Vhum.VhumAnalyzer().analyze({
+        ...session,
+        environment: { ...zeroedEnvironment(session), made_up: 1 }
+    });
+    assert.strictEqual(honest.verdict, Vhum.VERDICT.BOT);
+    assert.strictEqual(tampered.probability, honest.probability);
+    assert.deepStrictEqual(tampered.inputs, honest.inputs);
+});
+
+test('registered environment checks still reach the model', () => {
+    const session = new TraceGenerator(3).generate('minimumJerk').session;
+    const result = new Vhum.VhumAnalyzer().analyze({ ...session, environment: { webdriver: 1 } });
+    assert.strictEqual(result.inputs.webdriver, 1);
+    assert.ok(result.explanation.reasons.includes('WEBDRIVER_PRESENT'));
+});
+
+test('verifier rejects a bot trace that zeroes its features through env', async () => {
+    const verifier = new VhumVerifier({ secret: 'test-secret' });
+    const check = await verifier.verify(await tamperedToken(verifier));
+    assert.strictEqual(check.valid, false);
+    assert.strictEqual(check.reason, 'unknown_environment');
+});
+
+// A human gesture signed like the browser would, after `edit` changed the trace
+async function humanToken(verifier, edit = () => {}) {
+    const session = new TraceGenerator(5).generate('minimumJerk').session;
+    session.environment = { webdriver: 0, untrusted: 0 };
+    const trace = Vhum.serializeTrace(session);
+    edit(trace);
+    trace.result = Vhum.replay(trace);
+    return Vhum.createToken(trace, verifier.issueChallenge());
+}
+
+test('verifier accepts an untampered human trace', async () => {
+    const verifier = new VhumVerifier({ secret: 'test-secret' });
+    const check = await verifier.verify(await humanToken(verifier));
+    assert.strictEqual(check.reason, null);
+    assert.strictEqual(check.valid, true);
+});
+
+test('verifier bounds client-supplied calibration and baseline', async () => {
+    const verifier = new VhumVerifier({ secret: 'test-secret' });
+    const scaled = await humanToken(verifier, trace => { trace.cal = { pxPerMm: 96 / 25.4 / 8, zoom: 1 }; });
+    assert.strictEqual((await verifier.verify(scaled)).reason, 'implausible_calibration');
+    const zoomed = await humanToken(verifier, trace => { trace.cal = { pxPerMm: 96 / 25.4 / 2.5, zoom: 1 }; });
+    assert.notStrictEqual((await verifier.verify(zoomed)).reason, 'implausible_calibration');
+
+    const baseline = await humanToken(verifier, trace => { trace.bl = { n: 20, stats: { dwell: [4.5, -1] } }; });
+    assert.strictEqual((await verifier.verify(baseline)).reason, 'malformed_baseline');
+});
+
+test('verifier scores the retained tail of a truncated trace', async () => {
+    const verifier = new VhumVerifier({ secret: 'test-secret' });
+    const session = new TraceGenerator(5).generate('minimumJerk').session;
+    const trace = Vhum.serializeTrace(session, Vhum.replay(Vhum.serializeTrace(session)));
+    trace.dropped = 10;
+    trace.points = trace.points.slice(10);
+    const check = await verifier.verify(await Vhum.createToken(trace, verifier.issueChallenge()));
+    assert.ok(check.result, check.reason);
+    assert.deepStrictEqual(check.result.inputs, Vhum.replay(trace).inputs);
+});
+
+// A one-point mouse press held past the target, as a script would send it
+function forgedHold(challenge) {
+    return {
+        v: Vhum.TRACE_VERSION, src: 'mouse', entry: [100, 100], t_entry: 500, t_down: 1000, t_up: 2100,
+        target: [90, 90, 20, 20], points: [[100, 100, 1000]], approach: [], challenge
+    };
+}
+
+async function signed(verifier, trace, issued = verifier.issueChallenge()) {
+    trace.result = Vhum.replay(trace);
+    return Vhum.createToken(trace, issued);
+}
+
+test('verifier only scores step-up challenges it issued', async () => {
+    const verifier = new VhumVerifier({ secret: 'test-secret', stepUp: false });
+    const check = await verifier.verify(await signed(verifier, forgedHold({ type: 'hold', duration: 1000 })));
+    assert.strictEqual(check.reason, 'unissued_challenge');
+});
+
+test('issued step-up parameters are bound into the signature', async () => {
+    const verifier = new VhumVerifier({ secret: 'test-secret' });
+    const issued = verifier.issueChallenge();
+    const forged = { ...issued, stepUp: { ...issued.stepUp, hold: { duration: 400 } } };
+    const check = await verifier.verify(await signed(verifier, forgedHold({ type: 'hold', duration: 400 }), forged));
+    assert.strictEqual(check.reason, 'bad_signature');
+});
+
+test('a slider laid out with other parameters is rejected', async () => {
+    const verifier = new VhumVerifier({ secret: 'test-secret' });
+    const issued = verifier.issueChallenge();
+    const spec = Vhum.VhumChallenge.TYPES.slider.layout({ slot: issued.stepUp.slider.slot + 30 }, { left: 50, width: 240 });
+    const trace = { ...forgedHold(spec), points: [[70, 100, 1000], [150, 100, 1400]] };
+    assert.strictEqual((await verifier.verify(await signed(verifier, trace, issued))).reason, 'mismatched_challenge');
+});
+
+test('a teleported hold on the issued challenge scores as a bot', async () => {
+    const verifier = new VhumVerifier({ secret: 'test-secret' });
+    const issued = verifier.issueChallenge();
+    const check = await verifier.verify(await signed(verifier, forgedHold({ type: 'hold', ...issued.stepUp.hold }), issued));
+    assert.strictEqual(check.reason, 'bot_verdict');
+    assert.ok(check.result.explanation.reasons.includes('NO_CHALLENGE_APPROACH'));
+});
+
+test('keyboard input cannot answer a pointer challenge', async () => {
+    const spec = Vhum.VhumChallenge.TYPES.slider.layout({ slot: 150 }, { left: 0, width: 240 });
+    const trace = { ...forgedHold(spec), src: 'keyboard', points: [] };
+    assert.throws(() => Vhum.replay(trace), /cannot be answered with the keyboard/);
+
+    const verifier = new VhumVerifier({ secret: 'test-secret' });
+    const issued = verifier.issueChallenge();
+    const keyboard = { ...trace, challenge: Vhum.VhumChallenge.TYPES.slider.layout(issued.stepUp.slider, { left: 0, width: 240 }) };
+    keyboard.result = null;
+    const token = await Vhum.createToken(keyboard, issued);
+    assert.strictEqual((await verifier.verify(token)).reason, 'unsupported_challenge');
+});
+
+test('a slider challenge without samples scores as a miss', () => {
+    const spec = Vhum.VhumChallenge.TYPES.slider.layout({ slot: 150 }, { left: 0, width: 240 });
+    const result = new Vhum.VhumAnalyzer().analyze(Vhum.parseTrace({ ...forgedHold(spec), points: [] }));
+    assert.strictEqual(result.inputs.miss, 1);
+    assert.strictEqual(result.verdict, Vhum.VERDICT.BOT);
+});
+
+test('verifier refuses traces too large to replay cheaply', async () => {
+    const verifier = new VhumVerifier({ secret: 'test-secret' });
+    const many = { ...forgedHold(null), points: Array.from({ length: 5000 }, (_, i) => [i, 0, 1000 + i]) };
+    assert.strictEqual((await verifier.verify(await Vhum.createToken(many, verifier.issueChallenge()))).reason, 'oversized');
+
+    const long = { ...forgedHold(null), points: [[0, 0, 1000], [50, 0, 600000]], t_up: 600050 };
+    assert.strictEqual((await verifier.verify(await Vhum.createToken(long, verifier.issueChallenge()))).reason, 'oversized');
+});
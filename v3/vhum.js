@@ -16,10 +16,14 @@ class InputTypeDetector {
     static TYPES = {
         MOUSE: 'mouse',
         TOUCH: 'touch',
+        PEN: 'pen',
+        KEYBOARD: 'keyboard',
         UNKNOWN: 'unknown'
     };
 
     static detect(points, inputSource) {
+        if (inputSource === 'keyboard') return this.TYPES.KEYBOARD;
+        if (inputSource === 'pen') return this.TYPES.PEN;
         if (inputSource === 'touch') return this.TYPES.TOUCH;
         if (inputSource === 'mouse') return this.TYPES.MOUSE;
         
@@ -46,9 +50,9 @@ class InputTypeDetector {
         let dts = [];
         for (let i = 1; i < points.length; i++) dts.push(Math.max(0.1, points[i].t - points[i-1].t));
         
-        const dtVariance = dts.reduce((a,b) => a + Math.pow(b - (dts.reduce((x,y)=>x+y)/dts.length), 2), 0) / dts.length;
-        const dtStdDev = Math.sqrt(dtVariance);
         const dtMean = dts.reduce((a,b)=>a+b)/dts.length;
+        const dtVariance = dts.reduce((a,b) => a + Math.pow(b - dtMean, 2), 0) / dts.length;
+        const dtStdDev = Math.sqrt(dtVariance);
         const dtCV = dtStdDev / dtMean;
 
         return {
@@ -58,6 +62,12 @@ class InputTypeDetector {
     }
 
     static _analyzeDwellCharacteristics(points) {
+        // A reported contact radius settles it (emulated touch reports 0 or 1 px)
+        const contacts = points.filter(p => typeof p.radiusX === 'number');
+        if (contacts.length) {
+            const finger = contacts.some(p => Math.max(p.radiusX, p.radiusY || 0) > 1);
+            return { largeContactArea: finger ? 0.9 : 0.1, pointContact: finger ? 0.1 : 0.9 };
+        }
         if (points.length < 5) return { largeContactArea: 0.5, pointContact: 0.5 };
 
         let distances = [];
@@ -107,9 +117,12 @@ class InputTypeDetector {
 }
 
 class AdaptivePerceptron {
-    constructor(inputType = 'mouse') {
+    static MODEL_VERSION = 1;
+
+    constructor(inputType = 'mouse', model = null) {
         this.inputType = inputType;
         this._initializeWeights();
+        if (model) this.load(model);
     }
 
     _initializeWeights() {
@@ -124,10 +137,46 @@ class AdaptivePerceptron {
                 accel: 0.4,
                 curvature: 0.25,
                 entropy: 0.2,
-                pauses: 1.0
+                pauses: 1.0,
+                tremor: 0.6,
+                minJerk: 0.5,
+                contactSize: 0.8,
+                forceRamp: 0.5,
+                microDrift: 0.7
             };
             this.bias = -2.6;
-        } else {
+        } else if (this.inputType === InputTypeDetector.TYPES.PEN) {
+            this.weights = {
+                fitts: 1.8,
+                temporal: 1.6,
+                decision: 1.9,
+                jitter: 0.5,
+                dwell: 0.9,
+                speed: 0.4,
+                accel: 0.5,
+                curvature: 0.3,
+                entropy: 0.25,
+                pauses: 1.2,
+                pressure: 1.5,
+                tilt: 1.0,
+                tremor: 0.9,
+                minJerk: 0.8,
+                submovements: 0.7,
+                correction: 0.3,
+                endpoint: 0.9,
+                approachEntropy: 0.25
+            };
+            this.bias = -3.4;
+        } else if (this.inputType === InputTypeDetector.TYPES.KEYBOARD) {
+            this.weights = {
+                traversal: 1.6,
+                keyDwell: 1.8,
+                rhythm: 1.4,
+                decision: 1.5,
+                path: 0.6
+            };
+            this.bias = -2.4;
+        } else if (this.inputType === InputTypeDetector.TYPES.MOUSE || this.inputType === InputTypeDetector.TYPES.UNKNOWN) {
             this.weights = {
                 fitts: 2.2,
                 temporal: 2.1,
@@ -138,10 +187,34 @@ class AdaptivePerceptron {
                 accel: 0.6,
                 curvature: 0.4,
                 entropy: 0.3,
-                pauses: 1.7
+                pauses: 1.7,
+                submovements: 0.8,
+                correction: 0.4,
+                endpoint: 1.0,
+                approachEntropy: 0.3,
+                tremor: 0.6,
+                minJerk: 1.0
             };
-            this.bias = -3.2;
+            this.bias = -3.6;
+        } else {
+            // Custom models (e.g. challenge scorers) bring their own weights via load()
+            this.weights = {};
+            this.bias = 0;
+            return;
         }
+        // Environment signals are shared by every modality
+        Object.assign(this.weights, VhumEnvironment.weights());
+    }
+
+    // Signals registered after the model was built (or missing from a loaded
+    // model) fall back to their registered weight. The per-user baseline
+    // anomaly is never part of a trained model.
+    _weight(key) {
+        return key in this.weights ? this.weights[key] : AdaptivePerceptron.sharedWeight(key);
+    }
+
+    static sharedWeight(key) {
+        return key === 'baseline' ? VhumBaseline.WEIGHT : VhumEnvironment.weightFor(key);
     }
 
     sigmoid(z) {
@@ -151,7 +224,7 @@ class AdaptivePerceptron {
     predict(inputs) {
         let z = this.bias;
         for (let key in inputs) {
-            const w = this.weights[key] || 0;
+            const w = this._weight(key);
             z += (inputs[key] || 0) * w;
         }
         this.lastZ = z;
@@ -159,444 +232,786 @@ class AdaptivePerceptron {
         this.lastP = p;
         return p;
     }
-}
 
-class Vhum {
-    constructor(options = {}) {
-        // Options
-        this.options = {
-            thresholdMouse: options.thresholdMouse !== undefined ? options.thresholdMouse : 0.68,
-            thresholdTouch: options.thresholdTouch !== undefined ? options.thresholdTouch : 0.62,
-            container: options.container || '#vhum-area',
-            checkbox: options.checkbox || '#main-check',
+    // Per-feature signed contribution to z, largest impact first
+    explain(inputs) {
+        let z = this.bias;
+        const contributions = Object.keys(inputs).map(feature => {
+            const value = inputs[feature] || 0;
+            const weight = this._weight(feature);
+            const contribution = value * weight;
+            z += contribution;
+            return { feature, value, weight, contribution };
+        });
+        contributions.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+        return { z, bias: this.bias, contributions };
+    }
+
+    /**
+     * Fits weights and bias by logistic-regression gradient descent.
+     * samples: [{ inputs, verdict }] where verdict follows the result
+     * convention (0: bot, 1: human); the model outputs bot probability.
+     */
+    train(samples, options = {}) {
+        const opts = {
+            learningRate: 0.1,
+            epochs: 1000,
+            l2: 0.001,
+            validationSplit: 0.2,
+            patience: 25,
+            minDelta: 1e-5,
             ...options
         };
+        if (!Array.isArray(samples) || samples.length === 0) {
+            throw new Error('AdaptivePerceptron: train() requires a non-empty array of samples');
+        }
 
-        // DOM Elements
-        this.area = typeof this.options.container === 'string' 
-            ? document.querySelector(this.options.container) 
-            : this.options.container;
-        
-        this.check = typeof this.options.checkbox === 'string' 
-            ? document.querySelector(this.options.checkbox) 
-            : this.options.checkbox;
+        const keys = Object.keys(this.weights);
+        const toRow = (s) => ({
+            x: keys.map(k => Number(s.inputs[k]) || 0),
+            y: s.verdict === 0 ? 1 : 0
+        });
 
-        if (!this.area || !this.check) {
-            console.error('Vhum: Required elements not found. Check selectors:', 
-                this.options.container, this.options.checkbox);
-            return;
+        // Deterministic split so the same corpus always trains the same model
+        const train = [], validation = [];
+        const every = opts.validationSplit > 0 ? Math.max(2, Math.round(1 / opts.validationSplit)) : 0;
+        samples.forEach((s, i) => {
+            if (every && samples.length >= 10 && i % every === every - 1) validation.push(toRow(s));
+            else train.push(toRow(s));
+        });
+        const monitored = validation.length ? validation : train;
+
+        let w = keys.map(k => this.weights[k]);
+        let b = this.bias;
+        let best = { loss: Infinity, w: w.slice(), b, epoch: 0 };
+        let stale = 0, epoch = 0;
+
+        for (epoch = 1; epoch <= opts.epochs; epoch++) {
+            const gradW = new Array(keys.length).fill(0);
+            let gradB = 0;
+            for (const row of train) {
+                const err = this._forward(w, b, row.x) - row.y;
+                for (let j = 0; j < keys.length; j++) gradW[j] += err * row.x[j];
+                gradB += err;
+            }
+            for (let j = 0; j < keys.length; j++) {
+                w[j] -= opts.learningRate * (gradW[j] / train.length + opts.l2 * w[j]);
+            }
+            b -= opts.learningRate * (gradB / train.length);
+
+            const loss = this._logLoss(w, b, monitored);
+            if (loss < best.loss - opts.minDelta) {
+                best = { loss, w: w.slice(), b, epoch };
+                stale = 0;
+            } else if (++stale >= opts.patience) {
+                break;
+            }
         }
 
-        // State
-        this.points = [];
-        this.isTracking = false;
-        this.t_entry = 0;
-        this.t_down = 0;
-        this.entry_pos = { x: 0, y: 0 };
-        
-        this.lastInputSource = null;
-        this.inputType = InputTypeDetector.TYPES.UNKNOWN;
-        this.nnMouse = new AdaptivePerceptron(InputTypeDetector.TYPES.MOUSE);
-        this.nnTouch = new AdaptivePerceptron(InputTypeDetector.TYPES.TOUCH);
-        this.nn = this.nnMouse;
-        
-        // Event listeners
-        this.listeners = {};
+        keys.forEach((k, j) => { this.weights[k] = best.w[j]; });
+        this.bias = best.b;
 
-        this.init();
+        return {
+            epochs: Math.min(epoch, opts.epochs),
+            bestEpoch: best.epoch,
+            loss: this._logLoss(best.w, best.b, train),
+            validationLoss: validation.length ? best.loss : null,
+            accuracy: this.evaluate(samples).accuracy
+        };
     }
 
-    on(event, callback) {
-        if (!this.listeners[event]) this.listeners[event] = [];
-        this.listeners[event].push(callback);
-        return this;
+    evaluate(samples, threshold = 0.5) {
+        let correct = 0;
+        samples.forEach(s => {
+            const verdict = this.predict(s.inputs) > threshold ? 0 : 1;
+            if (verdict === s.verdict) correct++;
+        });
+        return { accuracy: samples.length ? correct / samples.length : 0, total: samples.length };
     }
 
-    off(event, callback) {
-        if (!this.listeners[event]) return this;
-        this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    _forward(w, b, x) {
+        let z = b;
+        for (let j = 0; j < x.length; j++) z += w[j] * x[j];
+        return this.sigmoid(z);
+    }
+
+    _logLoss(w, b, rows) {
+        const eps = 1e-12;
+        let loss = 0;
+        rows.forEach(row => {
+            const p = this._forward(w, b, row.x);
+            loss -= row.y * Math.log(p + eps) + (1 - row.y) * Math.log(1 - p + eps);
+        });
+        return loss / Math.max(1, rows.length);
+    }
+
+    toJSON() {
+        return {
+            version: AdaptivePerceptron.MODEL_VERSION,
+            type: 'perceptron',
+            inputType: this.inputType,
+            weights: { ...this.weights },
+            bias: this.bias
+        };
+    }
+
+    load(model) {
+        const data = typeof model === 'string' ? JSON.parse(model) : model;
+        if (!data || data.version !== AdaptivePerceptron.MODEL_VERSION) {
+            throw new Error('AdaptivePerceptron: unsupported model version ' + (data && data.version));
+        }
+        if (data.inputType && data.inputType !== this.inputType) {
+            throw new Error('AdaptivePerceptron: model is for ' + data.inputType + ', not ' + this.inputType);
+        }
+        this.weights = { ...this.weights, ...data.weights };
+        this.bias = typeof data.bias === 'number' ? data.bias : this.bias;
         return this;
     }
 
-    emit(event, data) {
-        if (!this.listeners[event]) return;
-        this.listeners[event].forEach(cb => cb(data));
+    static fromJSON(model) {
+        const data = typeof model === 'string' ? JSON.parse(model) : model;
+        return new AdaptivePerceptron(data.inputType, data);
     }
+}
 
-    init() {
-        this.area.addEventListener('mouseenter', (e) => {
-            this.lastInputSource = 'mouse';
-            this.handleEntry(e);
-        }, { passive: true });
+/**
+ * Scorer interface used by VhumAnalyzer, one per modality:
+ * predict({ inputs, details }) -> { probability, z, bias, contributions }.
+ * `inputs` are the perceptron inputs, `details` the continuous
+ * analysisDetails; probability is the bot probability and contributions are
+ * the signed per-feature shares of the logit z. Serialized models pick
+ * their implementation by `type`.
+ */
+class VhumScorer {
+    static MODEL_VERSION = 1;
+    static TYPES = {};
 
-        this.area.addEventListener('touchstart', (e) => {
-            this.lastInputSource = 'touch';
-            this.handleEntry(e.touches[0]);
-            this.handleStart(e.touches[0]);
-        }, { passive: false });
+    static register(type, Scorer) {
+        if (!Scorer || typeof Scorer.fromJSON !== 'function') {
+            throw new Error('VhumScorer: a scorer class needs a static fromJSON()');
+        }
+        VhumScorer.TYPES[type] = Scorer;
+        return VhumScorer;
+    }
 
-        this.area.addEventListener('pointerdown', (e) => {
-            if (e.pointerType === 'touch') {
-                if (!this.lastInputSource) this.lastInputSource = 'touch';
-            } else if (e.pointerType === 'mouse') {
-                if (!this.lastInputSource) this.lastInputSource = 'mouse';
-                this.handleStart(e);
-            }
-        }, { passive: false });
+    static fromJSON(model, inputType) {
+        const data = typeof model === 'string' ? JSON.parse(model) : model;
+        const type = (data && data.type) || 'perceptron';
+        if (!VhumScorer.TYPES[type]) throw new Error('VhumScorer: unknown scorer type ' + type);
+        return VhumScorer.TYPES[type].fromJSON(data, inputType);
+    }
 
-        this.area.addEventListener('mousedown', (e) => {
-            if (!this.lastInputSource) this.lastInputSource = 'mouse';
-            this.handleStart(e);
-        }, { passive: false });
+    static logit(p) {
+        const q = Math.max(1e-12, Math.min(1 - 1e-12, p));
+        return Math.log(q / (1 - q));
+    }
 
-        window.addEventListener('mousemove', (e) => {
-            if (this.isTracking && this.lastInputSource === 'mouse') {
-                this.handleMove(e);
-            }
-        }, { passive: false });
+    predict(features) {
+        throw new Error('VhumScorer: predict() is not implemented');
+    }
+}
 
-        window.addEventListener('touchmove', (e) => {
-            if (this.isTracking && this.lastInputSource === 'touch') {
-                e.preventDefault();
-                this.handleMove(e.touches[0]);
-            }
-        }, { passive: false });
+// The hand-tuned (or trained) AdaptivePerceptron behind the scorer interface
+class VhumPerceptronScorer extends VhumScorer {
+    constructor(nn) {
+        super();
+        this.nn = nn;
+        this.inputType = nn.inputType;
+    }
 
-        window.addEventListener('pointermove', (e) => {
-            if (this.isTracking) {
-                if (e.pointerType === 'touch' && this.lastInputSource === 'touch') {
-                    this.handleMove(e);
-                } else if (e.pointerType === 'mouse' && this.lastInputSource === 'mouse') {
-                    this.handleMove(e);
-                }
-            }
-        }, { passive: false });
+    predict({ inputs }) {
+        const probability = this.nn.predict(inputs);
+        const { z, bias, contributions } = this.nn.explain(inputs);
+        return { probability, z, bias, contributions };
+    }
 
-        window.addEventListener('mouseup', (e) => {
-            if (this.isTracking && this.lastInputSource === 'mouse') {
-                this.handleEnd(e);
-            }
-        }, { passive: true });
+    toJSON() {
+        return this.nn.toJSON();
+    }
 
-        window.addEventListener('touchend', (e) => {
-            if (this.isTracking && this.lastInputSource === 'touch') {
-                this.handleEnd(e);
-            }
-        }, { passive: false });
+    static fromJSON(data, inputType) {
+        return new VhumPerceptronScorer(new AdaptivePerceptron(inputType || data.inputType, data));
+    }
+}
 
-        window.addEventListener('pointerup', (e) => {
-            if (this.isTracking) {
-                this.handleEnd(e);
-            }
-        }, { passive: true });
+/**
+ * One-hidden-layer network (tanh) over the continuous analysisDetails
+ * instead of the thresholded flags. Inputs are standardized with statistics
+ * learned in train(); timings use the baseline's log scale. Environment and
+ * baseline signals stay linear on top of the network output, with their
+ * registered weights, so they keep working on models trained without them.
+ */
+class VhumMlpScorer extends VhumScorer {
+    static FEATURES = {
+        mouse: ['dwell', 'reaction', 'fitts', 'temporal', 'jitter', 'speed', 'accel', 'curvature', 'entropy', 'pauses',
+            'tremorRatio', 'minJerkResidual', 'submovements', 'overshoot', 'endpoint', 'approachEntropy'],
+        touch: ['dwell', 'reaction', 'fitts', 'temporal', 'jitter', 'speed', 'accel', 'curvature', 'entropy', 'pauses',
+            'tremorRatio', 'minJerkResidual', 'contactSize', 'forceRange', 'stationaryDrift'],
+        pen: ['dwell', 'reaction', 'fitts', 'temporal', 'jitter', 'speed', 'accel', 'curvature', 'entropy', 'pauses',
+            'tremorRatio', 'minJerkResidual', 'submovements', 'overshoot', 'endpoint', 'approachEntropy', 'pressure', 'tilt'],
+        keyboard: ['dwell', 'reaction', 'traversal', 'rhythm', 'path']
+    };
 
-        window.addEventListener('touchcancel', (e) => {
-            if (this.isTracking) {
-                this.handleEnd(e);
-            }
-        }, { passive: true });
+    constructor(inputType = 'mouse', model = null, { hidden = 8, seed = 1 } = {}) {
+        super();
+        this.inputType = inputType;
+        this.features = (VhumMlpScorer.FEATURES[inputType] || VhumMlpScorer.FEATURES.mouse).slice();
+        this._initialize(hidden, seed);
+        if (model) this.load(model);
     }
 
-    handleEntry(e) {
-        this.t_entry = performance.now();
-        this.entry_pos = { x: e.clientX, y: e.clientY };
+    // Seeded Xavier init, so the same corpus always trains the same model
+    _initialize(hidden, seed) {
+        let state = seed >>> 0;
+        const random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        const n = this.features.length;
+        const limit1 = Math.sqrt(6 / (n + hidden));
+        const limit2 = Math.sqrt(6 / (hidden + 1));
+        this.mean = new Array(n).fill(0);
+        this.scale = new Array(n).fill(1);
+        this.hidden = Array.from({ length: hidden }, () => Array.from({ length: n }, () => (random() * 2 - 1) * limit1));
+        this.hiddenBias = new Array(hidden).fill(0);
+        this.output = Array.from({ length: hidden }, () => (random() * 2 - 1) * limit2);
+        this.outputBias = 0;
     }
 
-    handleStart(e) {
-        this.t_down = performance.now();
-        this.isTracking = true;
-        this.points = [];
-        this.addPoint(e);
+    _raw(features) {
+        const values = { ...features.inputs, ...features.details };
+        return this.features.map(name => {
+            const value = Number(values[name]);
+            if (!isFinite(value)) return NaN;
+            return VhumBaseline.LOG_FEATURES.includes(name) ? Math.log1p(Math.max(0, value)) : value;
+        });
     }
 
-    handleMove(e) {
-        if (!this.isTracking) return;
-        this.addPoint(e);
+    // Missing features sit at the training mean
+    _standardize(raw) {
+        return raw.map((v, j) => isNaN(v) ? 0 : (v - this.mean[j]) / this.scale[j]);
     }
 
-    addPoint(e) {
-        this.points.push({ x: e.clientX, y: e.clientY, t: performance.now() });
+    _forward(x) {
+        const activations = this.hidden.map((row, h) => {
+            let a = this.hiddenBias[h];
+            for (let j = 0; j < x.length; j++) a += row[j] * x[j];
+            return Math.tanh(a);
+        });
+        let z = this.outputBias;
+        for (let h = 0; h < activations.length; h++) z += this.output[h] * activations[h];
+        return { z, activations };
     }
 
-    handleEnd(e) {
-        if (!this.isTracking) return;
-        this.isTracking = false;
-        this.finalize();
+    // Signals outside the network (environment checks, baseline anomaly)
+    _linear(inputs) {
+        const terms = [];
+        Object.keys(inputs || {}).forEach(feature => {
+            if (this.features.includes(feature)) return;
+            const weight = AdaptivePerceptron.sharedWeight(feature);
+            if (!weight) return;
+            const value = inputs[feature] || 0;
+            terms.push({ feature, value, weight, contribution: value * weight });
+        });
+        return terms;
     }
 
-    finalize() {
-        this.inputType = InputTypeDetector.detect(this.points, this.lastInputSource);
-        
-        if (this.inputType === InputTypeDetector.TYPES.TOUCH) {
-            this.nn = this.nnTouch;
-        } else {
-            this.nn = this.nnMouse;
-        }
+    predict(features) {
+        const raw = this._raw(features);
+        const x = this._standardize(raw);
+        const net = this._forward(x).z;
+        const linear = this._linear(features.inputs);
 
-        const t_up = performance.now();
-        const dwellTime = t_up - this.t_down;
-        const decisionTime = Math.max(this.t_down - this.t_entry, 100);
-        const movementTime = t_up - this.t_entry;
-        
-        this.t_entry = 0;
-        
-        const targetRect = this.check.getBoundingClientRect();
-        const entryPoint = this.entry_pos;
-        const targetCenter = { 
-            x: targetRect.left + targetRect.width/2, 
-            y: targetRect.top + targetRect.height/2 
+        // Occlusion: how far the logit moves when a feature is put back at its mean
+        const contributions = this.features.map((feature, j) => {
+            if (x[j] === 0) return { feature, value: isNaN(raw[j]) ? 0 : raw[j], weight: null, contribution: 0 };
+            const occluded = x.slice();
+            occluded[j] = 0;
+            return { feature, value: raw[j], weight: null, contribution: net - this._forward(occluded).z };
+        }).concat(linear);
+        contributions.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+        const z = net + linear.reduce((sum, t) => sum + t.contribution, 0);
+        const probability = 1 / (1 + Math.exp(-Math.max(-100, Math.min(100, z))));
+        return { probability, z, bias: this._forward(new Array(x.length).fill(0)).z, contributions };
+    }
+
+    /**
+     * Backpropagation with momentum, L2 and early stopping on the same
+     * deterministic split as AdaptivePerceptron.train(). samples:
+     * [{ inputs, analysisDetails, verdict }], e.g. scored results with labels.
+     */
+    train(samples, options = {}) {
+        const opts = {
+            learningRate: 0.05,
+            momentum: 0.9,
+            epochs: 1000,
+            l2: 0.001,
+            validationSplit: 0.2,
+            patience: 50,
+            minDelta: 1e-5,
+            ...options
         };
-        
-        const D = Math.hypot(targetCenter.x - entryPoint.x, targetCenter.y - entryPoint.y);
-        const W = Math.min(targetRect.width, targetRect.height);
-        const ID = Math.max(0, Math.log2((2 * D) / (W + 1) + 1));
-        
-        const throughputExpected = this.inputType === InputTypeDetector.TYPES.TOUCH ? 2.5 : 4.0;
-        const timeExpectedFitts = (ID / throughputExpected) * 1000;
-        const fittsViolation = this.inputType === InputTypeDetector.TYPES.TOUCH ? 
-            movementTime < timeExpectedFitts * 0.35 :
-            movementTime < timeExpectedFitts * 0.6;
-        
-        const jitter = this.analyzeJitter(this.points);
-        const speedStats = this.analyzeSpeed(this.points);
-        const accelStats = this.analyzeAcceleration(this.points);
-        const curvature = this.analyzeCurvature(this.points);
-        const entropy = this.analyzeEntropy(this.points);
-        const pauses = this.countPauses(this.points);
-        const temporalAnalysis = this.checkTemporalPrecision(this.points);
-
-        const temporalViolation = this.inputType === InputTypeDetector.TYPES.TOUCH ?
-            temporalAnalysis.isSuspicious && temporalAnalysis.perfectSync > 0.85 :
-            temporalAnalysis.isSuspicious;
+        if (!Array.isArray(samples) || samples.length === 0) {
+            throw new Error('VhumMlpScorer: train() requires a non-empty array of samples');
+        }
 
-        const inputs = {
-            fitts: fittsViolation ? 1 : 0,
-            temporal: temporalViolation ? 1 : 0,
-            decision: decisionTime < (this.inputType === InputTypeDetector.TYPES.TOUCH ? 220 : 150) ? 1 : 0,
-            jitter: jitter.isWhiteNoise ? 1 : 0,
-            dwell: (dwellTime < (this.inputType === InputTypeDetector.TYPES.TOUCH ? 100 : 40) || 
-                     dwellTime > (this.inputType === InputTypeDetector.TYPES.TOUCH ? 1500 : 1000)) ? 1 : 0,
-            speed: 1 - speedStats.score,
-            accel: 1 - accelStats.score,
-            curvature: 1 - curvature.score,
-            entropy: Math.abs(entropy.normalizedEntropy - 0.6),
-            pauses: 1 - pauses.score
+        const raws = samples.map(s => this._raw({ inputs: s.inputs, details: s.analysisDetails }));
+        this.features.forEach((name, j) => {
+            const values = raws.map(r => r[j]).filter(v => !isNaN(v));
+            const mean = values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+            const sd = values.length ? Math.sqrt(values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / values.length) : 0;
+            this.mean[j] = mean;
+            this.scale[j] = sd > 1e-9 ? sd : 1;
+        });
+        const rows = samples.map((s, i) => ({
+            x: this._standardize(raws[i]),
+            offset: this._linear(s.inputs).reduce((sum, t) => sum + t.contribution, 0),
+            y: s.verdict === 0 ? 1 : 0
+        }));
+
+        const train = [], validation = [];
+        const every = opts.validationSplit > 0 ? Math.max(2, Math.round(1 / opts.validationSplit)) : 0;
+        rows.forEach((row, i) => {
+            if (every && rows.length >= 10 && i % every === every - 1) validation.push(row);
+            else train.push(row);
+        });
+        const monitored = validation.length ? validation : train;
+
+        const H = this.hidden.length, n = this.features.length;
+        const velocity = {
+            hidden: this.hidden.map(row => row.map(() => 0)),
+            hiddenBias: new Array(H).fill(0),
+            output: new Array(H).fill(0),
+            outputBias: 0
         };
+        let best = { loss: Infinity, state: this._state(), epoch: 0 };
+        let stale = 0, epoch = 0;
 
-        const probability = this.nn.predict(inputs);
-        const threshold = this.inputType === InputTypeDetector.TYPES.TOUCH ? 
-            this.options.thresholdTouch : 
-            this.options.thresholdMouse;
-        const verdict = probability > threshold ? 0 : 1; // 0=bot, 1=human
+        for (epoch = 1; epoch <= opts.epochs; epoch++) {
+            const gHidden = this.hidden.map(row => row.map(() => 0));
+            const gHiddenBias = new Array(H).fill(0);
+            const gOutput = new Array(H).fill(0);
+            let gOutputBias = 0;
+            for (const row of train) {
+                const { z, activations } = this._forward(row.x);
+                const err = this._sigmoid(z + row.offset) - row.y;
+                gOutputBias += err;
+                for (let h = 0; h < H; h++) {
+                    gOutput[h] += err * activations[h];
+                    const delta = err * this.output[h] * (1 - activations[h] * activations[h]);
+                    gHiddenBias[h] += delta;
+                    for (let j = 0; j < n; j++) gHidden[h][j] += delta * row.x[j];
+                }
+            }
+            const step = (v, g, w) => opts.momentum * v - opts.learningRate * (g / train.length + opts.l2 * w);
+            for (let h = 0; h < H; h++) {
+                for (let j = 0; j < n; j++) {
+                    velocity.hidden[h][j] = step(velocity.hidden[h][j], gHidden[h][j], this.hidden[h][j]);
+                    this.hidden[h][j] += velocity.hidden[h][j];
+                }
+                velocity.hiddenBias[h] = step(velocity.hiddenBias[h], gHiddenBias[h], 0);
+                this.hiddenBias[h] += velocity.hiddenBias[h];
+                velocity.output[h] = step(velocity.output[h], gOutput[h], this.output[h]);
+                this.output[h] += velocity.output[h];
+            }
+            velocity.outputBias = step(velocity.outputBias, gOutputBias, 0);
+            this.outputBias += velocity.outputBias;
 
-        const result = {
-            probability: Math.round(probability * 10000) / 10000,
-            verdict: verdict, // 0: bot, 1: human
-            inputType: this.inputType,
-            thresholdUsed: threshold,
-            analysisDetails: {
-                dwell: dwellTime,
-                reaction: decisionTime,
-                fitts: ID,
-                temporal: temporalAnalysis.perfectSync,
-                jitter: jitter.cv,
-                speed: speedStats.score,
-                accel: accelStats.score,
-                curvature: curvature.score,
-                entropy: entropy.normalizedEntropy,
-                pauses: pauses.score
+            const loss = this._logLoss(monitored);
+            if (loss < best.loss - opts.minDelta) {
+                best = { loss, state: this._state(), epoch };
+                stale = 0;
+            } else if (++stale >= opts.patience) {
+                break;
             }
+        }
+
+        Object.assign(this, best.state);
+        return {
+            epochs: Math.min(epoch, opts.epochs),
+            bestEpoch: best.epoch,
+            loss: this._logLoss(train),
+            validationLoss: validation.length ? best.loss : null,
+            accuracy: this.evaluate(samples).accuracy
         };
+    }
 
-        this.emit('result', result);
-        return result;
+    evaluate(samples, threshold = 0.5) {
+        let correct = 0;
+        samples.forEach(s => {
+            const { probability } = this.predict({ inputs: s.inputs, details: s.analysisDetails });
+            if ((probability > threshold ? 0 : 1) === s.verdict) correct++;
+        });
+        return { accuracy: samples.length ? correct / samples.length : 0, total: samples.length };
     }
 
-    analyzeJitter(pts) {
-        if (pts.length < 5) return { jerk: 0, isWhiteNoise: false, tremor: 0, spectralPower: 0, cv: 0.2, syncRatio: 0 };
-        let dts = [];
-        for (let i = 1; i < pts.length; i++) dts.push(Math.max(8, pts[i].t - pts[i-1].t)); // ms
-        const meanDt = dts.reduce((a,b)=>a+b)/dts.length;
-        const varianceDt = dts.reduce((a,b) => a + Math.pow(b - meanDt, 2), 0) / dts.length;
-        const stdDevDt = Math.sqrt(varianceDt);
+    _sigmoid(z) {
+        return 1 / (1 + Math.exp(-Math.max(-100, Math.min(100, z))));
+    }
 
-        let velocities = [], accelerations = [];
-        for (let i = 1; i < pts.length; i++) {
-            const dx = pts[i].x - pts[i-1].x;
-            const dy = pts[i].y - pts[i-1].y;
-            const dtSec = Math.max(0.008, dts[i-1] / 1000);
-            velocities.push(Math.sqrt(dx*dx + dy*dy) / dtSec); // px/s
+    _logLoss(rows) {
+        const eps = 1e-12;
+        let loss = 0;
+        rows.forEach(row => {
+            const p = this._sigmoid(this._forward(row.x).z + row.offset);
+            loss -= row.y * Math.log(p + eps) + (1 - row.y) * Math.log(1 - p + eps);
+        });
+        return loss / Math.max(1, rows.length);
+    }
+
+    _state() {
+        return {
+            hidden: this.hidden.map(row => row.slice()),
+            hiddenBias: this.hiddenBias.slice(),
+            output: this.output.slice(),
+            outputBias: this.outputBias
+        };
+    }
+
+    toJSON() {
+        return {
+            version: VhumScorer.MODEL_VERSION,
+            type: 'mlp',
+            inputType: this.inputType,
+            features: this.features.slice(),
+            mean: this.mean.slice(),
+            scale: this.scale.slice(),
+            ...this._state()
+        };
+    }
+
+    load(model) {
+        const data = typeof model === 'string' ? JSON.parse(model) : model;
+        if (!data || data.version !== VhumScorer.MODEL_VERSION) {
+            throw new Error('VhumMlpScorer: unsupported model version ' + (data && data.version));
+        }
+        if (data.inputType && data.inputType !== this.inputType) {
+            throw new Error('VhumMlpScorer: model is for ' + data.inputType + ', not ' + this.inputType);
         }
-        for (let i = 1; i < velocities.length; i++) {
-            accelerations.push(Math.abs(velocities[i] - velocities[i-1]) / Math.max(0.008, dts[i] / 1000)); // px/s^2
+        const numbers = (list, length) => Array.isArray(list) && list.length === length &&
+            list.every(v => typeof v === 'number' && isFinite(v));
+        if (!Array.isArray(data.features) || !data.features.length ||
+            data.features.some(name => typeof name !== 'string')) {
+            throw new Error('VhumMlpScorer: model has no feature list');
         }
+        const n = data.features.length;
+        const size = Array.isArray(data.hidden) ? data.hidden.length : 0;
+        if (!numbers(data.mean, n) || !numbers(data.scale, n) || data.scale.some(v => v <= 0) || !size ||
+            data.hidden.some(row => !numbers(row, n)) || !numbers(data.hiddenBias, size) ||
+            !numbers(data.output, size) || !numbers([data.outputBias || 0], 1)) {
+            throw new Error('VhumMlpScorer: malformed or inconsistent layers');
+        }
+        this.features = data.features.slice();
+        this.mean = data.mean.slice();
+        this.scale = data.scale.slice();
+        Object.assign(this, {
+            hidden: data.hidden.map(row => row.slice()),
+            hiddenBias: data.hiddenBias.slice(),
+            output: data.output.slice(),
+            outputBias: data.outputBias || 0
+        });
+        return this;
+    }
 
-        const meanVel = Math.max(0.1, velocities.reduce((a,b)=>a+b,0)/Math.max(1, velocities.length));
-        const varVel = velocities.reduce((a,b) => a + Math.pow(b - meanVel, 2), 0) / Math.max(1, velocities.length) || 0;
-        const stdDevVel = Math.sqrt(Math.max(0, varVel));
-        const cv = Math.max(0, stdDevVel / Math.max(0.001, meanVel));
+    static fromJSON(data, inputType) {
+        return new VhumMlpScorer(inputType || data.inputType, data);
+    }
+}
 
-        let tremor = 0;
-        for (let i = 2; i < accelerations.length; i++) {
-            tremor += Math.abs(accelerations[i] - accelerations[i-1]);
-        }
-        tremor = tremor / Math.max(1, accelerations.length - 2);
+/**
+ * Weighted average of member probabilities. Members are serialized models
+ * of any registered type, or 'perceptron' for the built-in weights.
+ */
+class VhumEnsembleScorer extends VhumScorer {
+    constructor(inputType = 'mouse', members = []) {
+        super();
+        this.inputType = inputType;
+        this.members = members.map(({ scorer, weight = 1 }) => ({ scorer, weight }));
+    }
 
-        const perfectMultiples = dts.filter(dt => 
-            Math.abs(dt - 16.67) < 1 || Math.abs(dt - 33.33) < 1 || Math.abs(dt - 50) < 1
-        ).length;
-        const syncRatio = dts.length > 0 ? perfectMultiples / dts.length : 0;
-        
-        const jitterThreshold = this.inputType === InputTypeDetector.TYPES.TOUCH ? 0.12 : 0.08;
-        const isSuspiciouslySmooth = cv < jitterThreshold || (varVel < 0.01 && stdDevDt < 1) || syncRatio > 0.75;
+    predict(features) {
+        const total = this.members.reduce((sum, m) => sum + m.weight, 0);
+        if (!this.members.length || total <= 0) throw new Error('VhumEnsembleScorer: no weighted members');
 
-        return { jerk: Math.min(1, Math.max(0, tremor / 50)), isWhiteNoise: isSuspiciouslySmooth, tremor: Math.min(1, cv), cv, syncRatio };
+        let probability = 0, bias = 0;
+        const merged = new Map();
+        this.members.forEach(({ scorer, weight }) => {
+            const share = weight / total;
+            const out = scorer.predict(features);
+            probability += share * out.probability;
+            bias += share * (out.bias || 0);
+            out.contributions.forEach(c => {
+                const entry = merged.get(c.feature) || { feature: c.feature, value: c.value, weight: null, contribution: 0 };
+                entry.contribution += share * c.contribution;
+                merged.set(c.feature, entry);
+            });
+        });
+        const contributions = [...merged.values()];
+        contributions.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+        return { probability, z: VhumScorer.logit(probability), bias, contributions };
     }
 
-    analyzeSpeed(pts) {
-        if (pts.length < 3) return { avg:0, max:0, score:0, distribution:'uniform', mode:0, skewness:0 };
+    toJSON() {
+        return {
+            version: VhumScorer.MODEL_VERSION,
+            type: 'ensemble',
+            inputType: this.inputType,
+            members: this.members.map(({ scorer, weight }) => ({ weight, model: scorer.toJSON() }))
+        };
+    }
 
-        let speeds = [];
-        for (let i=1;i<pts.length;i++){
-            const dx = pts[i].x - pts[i-1].x;
-            const dy = pts[i].y - pts[i-1].y;
-            const dtMs = Math.max(8, pts[i].t - pts[i-1].t);
-            const dt = dtMs / 1000;
-            speeds.push(Math.sqrt(dx*dx+dy*dy)/dt);
-        }
-        const avg = speeds.reduce((a,b)=>a+b,0)/speeds.length;
-        const max = Math.max(...speeds);
-        const min = Math.min(...speeds);
-        const variance = speeds.reduce((a,b)=>a+Math.pow(b-avg,2),0)/speeds.length;
-        const stdDev = Math.sqrt(variance);
-        const skewness = stdDev > 0 ? speeds.reduce((a,b)=>a+Math.pow((b-avg)/stdDev,3),0)/(speeds.length) : 0;
-        const humanLikeDistribution = skewness > 0.3 && avg > 50 && stdDev / avg > 0.2 && stdDev / avg < 2.0;
-        const accelerationPattern = max / Math.max(avg,1) > 1.5 && max / Math.max(avg,1) < 4;
-        const score = humanLikeDistribution && accelerationPattern ? 
-            Math.min(1, 0.7 + 0.3 * Math.max(0, Math.min(1, (skewness - 0.3) / 1.0))) : 
-            Math.max(0, Math.min(1, avg / 600));
-        return { avg, max, min, score, distribution: humanLikeDistribution ? 'lognormal' : 'uniform', mode: avg, skewness };
+    static fromJSON(data, inputType) {
+        if (!data || data.version !== VhumScorer.MODEL_VERSION) {
+            throw new Error('VhumEnsembleScorer: unsupported model version ' + (data && data.version));
+        }
+        const type = inputType || data.inputType;
+        return new VhumEnsembleScorer(type, (data.members || []).map(m => ({
+            weight: m.weight,
+            scorer: m.model === 'perceptron' ?
+                new VhumPerceptronScorer(new AdaptivePerceptron(type)) : VhumScorer.fromJSON(m.model, type)
+        })));
     }
+}
 
-    analyzeAcceleration(pts) {
-        if (pts.length < 4) return { avg:0, var:0, score:0, maxAccel:0, naturalAccel:false };
+VhumScorer
+    .register('perceptron', VhumPerceptronScorer)
+    .register('mlp', VhumMlpScorer)
+    .register('ensemble', VhumEnsembleScorer);
 
-        const speeds = [];
-        let dts = [];
-        for (let i=1;i<pts.length;i++){
-            const dx = pts[i].x - pts[i-1].x;
-            const dy = pts[i].y - pts[i-1].y;
-            const dtMs = Math.max(8, pts[i].t - pts[i-1].t);
-            const dt = dtMs / 1000;
-            dts.push(dt);
-            speeds.push(Math.sqrt(dx*dx+dy*dy)/dt);
-        }
-        const acc = [];
-        for (let i=1;i<speeds.length;i++) {
-            const dv = speeds[i] - speeds[i-1];
-            const dt = dts[i] || 0.016;
-            acc.push(dv / dt); // px/s^2
-        }
-        const mean = acc.reduce((a,b)=>a+Math.abs(b),0)/Math.max(1,acc.length);
-        const variance = acc.length ? acc.reduce((a,b)=>a+Math.pow(b-mean,2),0)/acc.length : 0;
+// Welford running moments (mean, variance, third moment) in a single pass
+class RunningMoments {
+    constructor() {
+        this.n = 0;
+        this.mean = 0;
+        this.m2 = 0;
+        this.m3 = 0;
+        this.sum = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    push(x) {
+        const n1 = this.n++;
+        const delta = x - this.mean;
+        const deltaN = delta / this.n;
+        const term = delta * deltaN * n1;
+        this.mean += deltaN;
+        this.m3 += term * deltaN * (this.n - 2) - 3 * deltaN * this.m2;
+        this.m2 += term;
+        this.sum += x;
+        if (x < this.min) this.min = x;
+        if (x > this.max) this.max = x;
+    }
+
+    get variance() {
+        return this.n ? Math.max(0, this.m2 / this.n) : 0;
+    }
+
+    clone() {
+        return Object.assign(new RunningMoments(), this);
+    }
+}
+
+/**
+ * Running kinematics over the consolidated point sequence: segment timing,
+ * speed, acceleration, turning angles and the 8-way direction histogram.
+ * Each result method mirrors the corresponding VhumAnalyzer analysis.
+ */
+class KinematicAccumulator {
+    // Consolidated samples each result needs before it reports anything
+    static MIN_SAMPLES = { jitter: 5, speed: 3, acceleration: 4, curvature: 4, entropy: 4 };
+
+    constructor() {
+        this.count = 0;
+        this.first = null;
+        this.prev = null;
+        this.prevPrev = null;
+        this.prevSpeed = 0;
+        this.prevJerkAccel = 0;
+        this.dts = new RunningMoments();
+        this.frameMultiples = 0;
+        this.speeds = new RunningMoments();
+        this.accel = { n: 0, sum: 0, sumAbs: 0, sumSq: 0, maxAbs: 0 };
+        this.jerkSum = 0;
+        this.angles = new RunningMoments();
+        this.pathLength = 0;
+        this.directions = {};
+        this.directionCount = 0;
+        this.axisAligned = 0;
+    }
+
+    push(q) {
+        this.count++;
+        if (!this.prev) {
+            this.first = q;
+            this.prev = q;
+            return;
+        }
+        const prev = this.prev;
+        const dx = q.x - prev.x;
+        const dy = q.y - prev.y;
+        const dtMs = Math.max(8, q.t - prev.t);
+        const dt = dtMs / 1000;
+        const speed = Math.sqrt(dx*dx + dy*dy) / dt;
+
+        this.dts.push(dtMs);
+        if (Math.abs(dtMs - 16.67) < 1 || Math.abs(dtMs - 33.33) < 1 || Math.abs(dtMs - 50) < 1) this.frameMultiples++;
+        this.speeds.push(speed);
+
+        if (this.speeds.n > 1) {
+            const a = (speed - this.prevSpeed) / dt; // px/s^2
+            const accel = this.accel;
+            if (accel.n >= 2) this.jerkSum += Math.abs(Math.abs(a) - this.prevJerkAccel);
+            accel.n++;
+            accel.sum += a;
+            accel.sumAbs += Math.abs(a);
+            accel.sumSq += a * a;
+            accel.maxAbs = Math.max(accel.maxAbs, Math.abs(a));
+            this.prevJerkAccel = Math.abs(a);
+
+            const v1x = prev.x - this.prevPrev.x, v1y = prev.y - this.prevPrev.y;
+            const mag = Math.hypot(v1x, v1y) * Math.hypot(dx, dy);
+            if (mag !== 0) this.angles.push(Math.acos(Math.max(-1, Math.min(1, (v1x*dx + v1y*dy) / mag))));
+        }
+
+        const step = Math.hypot(dx, dy);
+        this.pathLength += step;
+        if (step >= 0.5) {
+            const dir = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) % 8;
+            this.directions[dir] = (this.directions[dir] || 0) + 1;
+            this.directionCount++;
+            if (dir % 2 === 0) this.axisAligned++;
+        }
+
+        this.prevSpeed = speed;
+        this.prevPrev = prev;
+        this.prev = q;
+    }
+
+    clone() {
+        const copy = Object.assign(new KinematicAccumulator(), this);
+        copy.dts = this.dts.clone();
+        copy.speeds = this.speeds.clone();
+        copy.accel = { ...this.accel };
+        copy.angles = this.angles.clone();
+        copy.directions = { ...this.directions };
+        return copy;
+    }
+
+    jitter(inputType = InputTypeDetector.TYPES.MOUSE) {
+        if (this.count < KinematicAccumulator.MIN_SAMPLES.jitter) return { jerk: 0, isWhiteNoise: false, tremor: 0, spectralPower: 0, cv: 0.2, syncRatio: 0 };
+        const stdDevDt = Math.sqrt(this.dts.variance);
+        const meanVel = Math.max(0.1, this.speeds.mean);
+        const varVel = this.speeds.variance + Math.pow(this.speeds.mean - meanVel, 2) || 0;
+        const cv = Math.max(0, Math.sqrt(Math.max(0, varVel)) / Math.max(0.001, meanVel));
+        const jerk = this.jerkSum / Math.max(1, this.accel.n - 2);
+        const syncRatio = this.dts.n > 0 ? this.frameMultiples / this.dts.n : 0;
+
+        const jitterThreshold = inputType === InputTypeDetector.TYPES.TOUCH ? 0.12 : 0.08;
+        const isSuspiciouslySmooth = cv < jitterThreshold || (varVel < 0.01 && stdDevDt < 1) || syncRatio > 0.75;
+
+        return { jerk: Math.min(1, Math.max(0, jerk / 50)), isWhiteNoise: isSuspiciouslySmooth, tremor: Math.min(1, cv), cv, syncRatio };
+    }
+
+    speed() {
+        if (this.count < KinematicAccumulator.MIN_SAMPLES.speed) return { avg:0, max:0, score:0, distribution:'uniform', mode:0, skewness:0 };
+        const s = this.speeds;
+        const avg = s.mean;
+        const stdDev = Math.sqrt(s.variance);
+        const skewness = stdDev > 0 ? s.m3 / (s.n * stdDev * stdDev * stdDev) : 0;
+        const humanLikeDistribution = skewness > 0.3 && avg > 50 && stdDev / avg > 0.2 && stdDev / avg < 2.0;
+        const accelerationPattern = s.max / Math.max(avg,1) > 1.5 && s.max / Math.max(avg,1) < 4;
+        const score = humanLikeDistribution && accelerationPattern ?
+            Math.min(1, 0.7 + 0.3 * Math.max(0, Math.min(1, (skewness - 0.3) / 1.0))) :
+            Math.max(0, Math.min(1, avg / 600));
+        return { avg, max: s.max, min: s.min, score, distribution: humanLikeDistribution ? 'lognormal' : 'uniform', mode: avg, skewness };
+    }
+
+    acceleration(inputType = InputTypeDetector.TYPES.MOUSE) {
+        if (this.count < KinematicAccumulator.MIN_SAMPLES.acceleration) return { avg:0, var:0, score:0, maxAccel:0, naturalAccel:false };
+        const a = this.accel;
+        const mean = a.sumAbs / Math.max(1, a.n);
+        // Spread of signed acceleration around the mean magnitude
+        const variance = a.n ? Math.max(0, (a.sumSq - 2 * mean * a.sum + a.n * mean * mean) / a.n) : 0;
         const stdDev = Math.sqrt(variance);
-        const maxAccel = acc.length ? Math.max(...acc.map(a => Math.abs(a))) : 0;
+        const maxAccel = a.maxAbs;
 
-        const maxAccelThreshold = this.inputType === InputTypeDetector.TYPES.TOUCH ? 6000 : 5000;
+        const maxAccelThreshold = inputType === InputTypeDetector.TYPES.TOUCH ? 6000 : 5000;
         const naturalAccel = maxAccel < maxAccelThreshold && maxAccel > 50;
         const smoothAccel = stdDev / (mean + 0.1) < 3.0;
 
-        const score = (naturalAccel && smoothAccel) ? 
+        const score = (naturalAccel && smoothAccel) ?
             Math.min(1, 0.8 + 0.2 * Math.max(0, Math.min(1, (stdDev / (mean + 0.1) - 0.5) / 2.0))) :
             Math.max(0, Math.min(1, mean / 2000));
         return { avg: mean, var: variance, score, maxAccel, naturalAccel: naturalAccel && smoothAccel };
     }
 
-    analyzeCurvature(pts) {
-        if (pts.length < 4) return { score:0, curvature:0, straightness:0, angleVariance:0 };
-        let angleSum = 0, count = 0, angles = [];
-        for (let i=2;i<pts.length;i++){
-            const a = {x: pts[i-2].x, y: pts[i-2].y};
-            const b = {x: pts[i-1].x, y: pts[i-1].y};
-            const c = {x: pts[i].x, y: pts[i].y};
-            const v1 = {x: b.x - a.x, y: b.y - a.y};
-            const v2 = {x: c.x - b.x, y: c.y - b.y};
-            const dot = v1.x*v2.x + v1.y*v2.y;
-            const mag1 = Math.hypot(v1.x,v1.y); 
-            const mag2 = Math.hypot(v2.x,v2.y);
-            if (mag1*mag2===0) continue;
-            let ang = Math.acos(Math.max(-1, Math.min(1, dot/(mag1*mag2))));
-            angles.push(ang);
-            angleSum += ang;
-            count++;
-        }
-        const avgAngle = count ? angleSum/count : 0;
-        const angleVariance = count ? angles.reduce((a,b)=>a+Math.pow(b-avgAngle,2),0)/count : 0;
+    curvature() {
+        if (this.count < KinematicAccumulator.MIN_SAMPLES.curvature) return { score:0, curvature:0, straightness:0, angleVariance:0 };
+        const avgAngle = this.angles.n ? this.angles.mean : 0;
+        const angleVariance = this.angles.variance;
         const angleStdDev = Math.sqrt(angleVariance);
         const naturalCurvature = avgAngle > 0.2 && avgAngle < 1.2;
         const smoothCurvature = angleStdDev < avgAngle + 0.5;
-        let pathLength = 0;
-        for (let i=1;i<pts.length;i++){
-            pathLength += Math.hypot(pts[i].x - pts[i-1].x, pts[i].y - pts[i-1].y);
-        }
-        const euclidean = Math.hypot(pts[pts.length-1].x - pts[0].x, pts[pts.length-1].y - pts[0].y);
-        const straightness = euclidean > 0 ? euclidean / pathLength : 0;
+        const euclidean = Math.hypot(this.prev.x - this.first.x, this.prev.y - this.first.y);
+        const straightness = euclidean > 0 ? euclidean / this.pathLength : 0;
         const score = (naturalCurvature && smoothCurvature && straightness > 0.7) ?
             Math.min(1, 0.7 + 0.3 * Math.min(1, straightness)) :
             Math.max(0, Math.min(1, straightness * 0.5));
         return { score, curvature: avgAngle, straightness, angleVariance, naturalCurvature: naturalCurvature && smoothCurvature };
     }
 
-    analyzeEntropy(pts) {
-        if (pts.length < 4) return { score:0, entropy:0, directionBias:0, predictability:0 };
-        const directions = [];
-        for (let i=1;i<pts.length;i++){
-            const dx = pts[i].x - pts[i-1].x;
-            const dy = pts[i].y - pts[i-1].y;
-            if (Math.hypot(dx,dy) < 0.5) continue;
-            const ang8 = Math.round(Math.atan2(dy,dx)/ (Math.PI/4)) % 8;
-            directions.push(ang8);
-        }
-        if (directions.length === 0) return { score:0, entropy:0, directionBias:0, predictability:0, normalizedEntropy: 0, dominance: 0 };
-        const freq = {};
-        directions.forEach(d => freq[d] = (freq[d] || 0) + 1);
-        const total = directions.length;
+    entropy() {
+        if (this.count < KinematicAccumulator.MIN_SAMPLES.entropy) return { score:0, entropy:0, directionBias:0, predictability:0 };
+        const total = this.directionCount;
+        if (total === 0) return { score:0, entropy:0, directionBias:0, predictability:0, normalizedEntropy: 0, dominance: 0 };
+        const counts = Object.values(this.directions);
         let entropy = 0;
-        Object.values(freq).forEach(c => {
+        counts.forEach(c => {
             const p = c / total;
             if (p > 0) entropy -= p * Math.log2(p);
         });
-        const maxEntropy = Math.log2(Object.keys(freq).length || 1);
+        const maxEntropy = Math.log2(counts.length || 1);
         const normalizedEntropy = maxEntropy > 0 ? entropy / maxEntropy : 0;
-        const axisAlignedDirs = directions.filter(d => d % 2 === 0).length;
-        const directionBias = axisAlignedDirs / total;
-        const maxFreq = Math.max(...Object.values(freq));
-        const dominance = maxFreq / total;
+        const directionBias = this.axisAligned / total;
+        const dominance = Math.max(...counts) / total;
         const predictability = dominance > 0.6 ? 1 - normalizedEntropy : normalizedEntropy;
         const humanLikeEntropy = normalizedEntropy > 0.4 && normalizedEntropy < 0.95;
-        const score = humanLikeEntropy ? 
+        const score = humanLikeEntropy ?
             normalizedEntropy :
             Math.max(0, Math.min(1, 1 - Math.abs(normalizedEntropy - 0.65) / 0.5));
         return { score, entropy, directionBias, predictability, normalizedEntropy, dominance };
     }
+}
+
+// Gaps over 80 ms between raw samples
+class PauseAccumulator {
+    static MIN_SAMPLES = 3;
+
+    constructor() {
+        this.count = 0;
+        this.prev = null;
+        this.pauses = new RunningMoments();
+    }
 
-    countPauses(pts) {
-        if (pts.length < 3) return { count:0, score:0, meanPause:0, pausePattern:'none' };
-        let pauses = [];
-        let pauseCount = 0;
-        const pauseThreshold = 80;
-        for (let i=1;i<pts.length;i++){
-            const dt = pts[i].t - pts[i-1].t;
-            if (dt > pauseThreshold) {
-                pauses.push(dt);
-                pauseCount++;
-            }
-        }
+    push(p) {
+        this.count++;
+        if (this.prev && p.t - this.prev.t > 80) this.pauses.push(p.t - this.prev.t);
+        this.prev = p;
+    }
+
+    result() {
+        if (this.count < PauseAccumulator.MIN_SAMPLES) return { count:0, score:0, meanPause:0, pausePattern:'none' };
+        const pauseCount = this.pauses.n;
         if (pauseCount === 0) {
             return { count: 0, score: 0.1, meanPause: 0, pausePattern: 'continuous', maxPause: 0 };
         }
-        const meanPause = pauses.reduce((a,b)=>a+b,0) / pauses.length;
-        const pauseVariance = pauses.reduce((a,b)=>a+Math.pow(b-meanPause,2),0) / pauses.length;
+        const meanPause = this.pauses.mean;
+        const pauseVariance = this.pauses.variance;
         const pauseStdDev = Math.sqrt(pauseVariance);
         const pauseCV = meanPause > 0 ? pauseStdDev / meanPause : 0;
         const dispersão = pauseVariance / (meanPause + 0.1);
@@ -605,35 +1020,4057 @@ class Vhum {
         const score = (poissonLike && naturalPauseTiming && pauseCV > 0.2) ?
             Math.min(1, 0.6 + 0.4 * Math.max(0, Math.min(1, pauseCV / 1.0))) :
             Math.max(0, Math.min(1, Math.min(pauseCount / 5, 1 - dispersão / 5)));
-        return { count: pauseCount, score: Math.max(0, Math.min(1, score)), meanPause, pauseStdDev, pauseCV, dispersão, pausePattern: poissonLike ? 'natural_poisson' : (dispersão > 3 ? 'irregular' : 'regular'), maxPause: Math.max(...pauses) };
+        return { count: pauseCount, score: Math.max(0, Math.min(1, score)), meanPause, pauseStdDev, pauseCV, dispersão, pausePattern: poissonLike ? 'natural_poisson' : (dispersão > 3 ? 'irregular' : 'regular'), maxPause: this.pauses.max };
     }
+}
 
-    checkTemporalPrecision(pts) {
-        if (pts.length < 5) return { score:0, isSuspicious:false, perfectSync:0, variance:0 };
-        let dts = [];
-        for (let i = 1; i < pts.length; i++) {
-            dts.push(pts[i].t - pts[i-1].t);
-        }
-        const refreshRates = [2.78, 4.17, 5, 8.33, 10, 16.67, 20, 33.33, 50];
-        const tolerance = 0.5;
-        let syncCount = 0;
-        dts.forEach(dt => {
-            refreshRates.forEach(rate => {
-                if (Math.abs(dt - rate) < tolerance || Math.abs(dt - rate*2) < tolerance) {
-                    syncCount++;
-                }
+// Dispatch intervals matched against common refresh rates
+class TimingAccumulator {
+    static REFRESH_RATES = [2.78, 4.17, 5, 8.33, 10, 16.67, 20, 33.33, 50];
+    static MIN_SAMPLES = 5;
+
+    constructor() {
+        this.count = 0;
+        this.prev = null;
+        this.dts = new RunningMoments();
+        this.syncCount = 0;
+    }
+
+    push(p) {
+        this.count++;
+        if (this.prev) {
+            const dt = p.t - this.prev.t;
+            this.dts.push(dt);
+            TimingAccumulator.REFRESH_RATES.forEach(rate => {
+                if (Math.abs(dt - rate) < 0.5 || Math.abs(dt - rate*2) < 0.5) this.syncCount++;
             });
-        });
-        const syncRatio = dts.length > 0 ? syncCount / dts.length : 0;
-        const meanDt = dts.reduce((a,b)=>a+b)/dts.length;
-        const variance = dts.reduce((a,b)=>a+Math.pow(b-meanDt,2),0)/dts.length;
-        const cv = Math.sqrt(variance) / meanDt;
+        }
+        this.prev = p;
+    }
+
+    result() {
+        if (this.count < TimingAccumulator.MIN_SAMPLES) return { score:0, isSuspicious:false, perfectSync:0, variance:0 };
+        const syncRatio = this.dts.n > 0 ? this.syncCount / this.dts.n : 0;
+        const meanDt = this.dts.mean;
+        const cv = Math.sqrt(this.dts.variance) / meanDt;
         const humanLikeVariance = cv > 0.12;
         const suspiciousSync = syncRatio > 0.65;
         return { score: suspiciousSync ? 0.9 : (humanLikeVariance ? 0.2 : 0.5), isSuspicious: suspiciousSync && !humanLikeVariance, perfectSync: syncRatio, variance: cv, meanDt, meanDtHz: 1000 / meanDt };
     }
 }
 
+/**
+ * Incremental feature engine. Each point is folded into running statistics
+ * as it arrives (raw pauses, dispatch timing and kinematics on the 8 ms
+ * consolidated grid) and raw samples live in a bounded ring buffer, so
+ * memory is capped and summary() doesn't depend on gesture length.
+ * VhumAnalyzer replays sessions through the same engine: live and replayed
+ * scores are identical as long as nothing was dropped from the buffer.
+ */
+class VhumStream {
+    static CAPACITY = 1024;
+
+    static from(points, options = {}) {
+        const stream = new VhumStream({ capacity: Math.max(VhumStream.CAPACITY, points.length), ...options });
+        points.forEach(p => stream.push(p));
+        return stream;
+    }
+
+    constructor({ capacity = VhumStream.CAPACITY, minDt = VhumAnalyzer.MIN_SAMPLE_DT, scale = 1 } = {}) {
+        this.capacity = capacity;
+        this.minDt = minDt;
+        this.scale = scale;
+        this.count = 0;
+        this.dispatched = 0;
+        this.kinematicCount = 0;
+        this.dropped = 0;
+        this._buffer = [];
+        this._start = 0;
+        this._pauses = new PauseAccumulator();
+        this._timing = new TimingAccumulator();
+        this._kinematics = new KinematicAccumulator();
+        this._head = null;
+        this._skipped = null;
+    }
+
+    push(point) {
+        if (this._buffer.length < this.capacity) {
+            this._buffer.push(point);
+        } else {
+            this._buffer[this._start] = point;
+            this._start = (this._start + 1) % this.capacity;
+            this.dropped++;
+        }
+
+        const q = this.scale === 1 ? point : { ...point, x: point.x * this.scale, y: point.y * this.scale };
+        this.count++;
+        this._pauses.push(q);
+        if (!point.coalesced) {
+            this.dispatched++;
+            this._timing.push(q);
+        }
+
+        // Same rule as VhumAnalyzer.consolidate: the last kept sample is held
+        // back because a final, too-close sample replaces it
+        if (!this._head) {
+            this._head = q;
+            this.kinematicCount = 1;
+        } else if (q.t - this._head.t >= this.minDt) {
+            this._kinematics.push(this._head);
+            this._head = q;
+            this._skipped = null;
+            this.kinematicCount++;
+        } else {
+            this._skipped = q;
+        }
+    }
+
+    get points() {
+        return this._start ? this._buffer.slice(this._start).concat(this._buffer.slice(0, this._start)) : this._buffer.slice();
+    }
+
+    _finalKinematics() {
+        if (this.count < 3) {
+            const k = new KinematicAccumulator();
+            this.points.forEach(p => k.push(this.scale === 1 ? p : { ...p, x: p.x * this.scale, y: p.y * this.scale }));
+            return k;
+        }
+        const k = this._kinematics.clone();
+        k.push(this._skipped && k.count >= 1 ? this._skipped : this._head);
+        return k;
+    }
+
+    summary(inputType = InputTypeDetector.TYPES.MOUSE) {
+        const k = this._finalKinematics();
+        return {
+            jitter: k.jitter(inputType),
+            speed: k.speed(),
+            accel: k.acceleration(inputType),
+            curvature: k.curvature(),
+            entropy: k.entropy(),
+            pauses: this._pauses.result(),
+            temporal: this._timing.result(),
+            counts: {
+                samples: this.count,
+                dispatched: this.dispatched,
+                kinematic: this.count < 3 ? this.count : this.kinematicCount,
+                dropped: this.dropped
+            }
+        };
+    }
+}
+
+/**
+ * DOM-free analysis core. Takes a session (points, timing, entry position
+ * and target rect) and returns the feature vector, probability and details.
+ * Safe to use from Node to re-score client-submitted traces.
+ */
+class VhumAnalyzer {
+    static MIN_SAMPLE_DT = 8;
+
+    // Uniform grid for spectral and profile analysis (125 Hz)
+    static RESAMPLE_DT = 8;
+
+    static TREMOR_BAND = [8, 12];
+
+    // Grid samples (most recent first) the spectral and profile analyses see,
+    // so their cost doesn't grow with how long a gesture lasted
+    static TREMOR_SAMPLES = 256;
+    static MIN_JERK_SAMPLES = 512;
+
+    // Finger steps shorter than this (px) count as holding still
+    static STATIONARY_STEP = 1.5;
+
+    // Thresholds were tuned on a 96 dpi desktop at 100% zoom; kinematics are
+    // rescaled to that reference before scoring
+    static REFERENCE_PX_PER_MM = 96 / 25.4;
+
+    static REASON_MIN_CONTRIBUTION = 0.25;
+
+    static VERDICT = { BOT: 0, HUMAN: 1, UNCERTAIN: 2 };
+
+    static MODALITIES = ['mouse', 'touch', 'pen', 'keyboard'];
+
+    // Challenges that work without a pointer
+    static KEYBOARD_CHALLENGES = ['hold'];
+
+    // Expected-behavior models for the step-up challenges
+    static CHALLENGE_MODELS = {
+        slider: {
+            version: 1, inputType: 'slider', bias: -2.5,
+            weights: { miss: 4.0, exact: 1.2, axis: 1.4, duration: 1.5, temporal: 1.5, jitter: 0.8, speed: 0.6, accel: 0.6 }
+        },
+        trace: {
+            version: 1, inputType: 'trace', bias: -2.5,
+            weights: { miss: 4.0, exact: 1.5, powerLaw: 1.2, duration: 1.5, temporal: 1.5, jitter: 0.8, accel: 0.5 }
+        },
+        hold: {
+            version: 1, inputType: 'hold', bias: -2.0,
+            weights: { miss: 4.0, exact: 2.0, still: 0.8, reaction: 1.5, approach: 2.5 }
+        }
+    };
+
+    // Stable identifiers; safe to log and match on
+    static REASON_CODES = {
+        fitts: 'FITTS_TOO_FAST',
+        temporal: 'FRAME_SYNCED_TIMING',
+        decision: 'DECISION_TOO_FAST',
+        jitter: 'WHITE_NOISE_JITTER',
+        dwell: 'DWELL_OUT_OF_RANGE',
+        speed: 'UNNATURAL_SPEED_PROFILE',
+        accel: 'UNNATURAL_ACCELERATION',
+        curvature: 'UNNATURAL_CURVATURE',
+        entropy: 'ABNORMAL_DIRECTION_ENTROPY',
+        pauses: 'UNNATURAL_PAUSES',
+        submovements: 'SINGLE_SUBMOVEMENT',
+        correction: 'NO_APPROACH_CORRECTION',
+        endpoint: 'TARGET_CENTER_HIT',
+        approachEntropy: 'ABNORMAL_APPROACH_ENTROPY',
+        tremor: 'NO_PHYSIOLOGICAL_TREMOR',
+        minJerk: 'NON_MINIMUM_JERK_PROFILE',
+        pressure: 'CONSTANT_PEN_PRESSURE',
+        tilt: 'NO_PEN_TILT_DRIFT',
+        contactSize: 'CONSTANT_CONTACT_SIZE',
+        forceRamp: 'NO_FORCE_RAMP',
+        microDrift: 'NO_STATIONARY_DRIFT',
+        traversal: 'FOCUS_TRAVERSAL_TOO_FAST',
+        keyDwell: 'KEY_DWELL_OUT_OF_RANGE',
+        rhythm: 'REGULAR_KEY_RHYTHM',
+        path: 'NO_FOCUS_TRAVERSAL',
+        miss: 'CHALLENGE_FAILED',
+        exact: 'CHALLENGE_TOO_PRECISE',
+        axis: 'PERFECT_AXIS_ALIGNMENT',
+        powerLaw: 'NO_CURVATURE_SLOWDOWN',
+        duration: 'CHALLENGE_TOO_FAST',
+        still: 'NO_HOLD_DRIFT',
+        reaction: 'CHALLENGE_REACTION_TOO_FAST',
+        approach: 'NO_CHALLENGE_APPROACH',
+        webdriver: 'WEBDRIVER_PRESENT',
+        untrusted: 'UNTRUSTED_EVENTS',
+        touchSupport: 'TOUCH_WITHOUT_SUPPORT',
+        pointerMismatch: 'POINTER_TYPE_MISMATCH',
+        zeroRadius: 'ZERO_TOUCH_RADIUS',
+        baseline: 'BASELINE_ANOMALY'
+    };
+
+    constructor(options = {}) {
+        this.options = {
+            thresholdMouse: 0.68,
+            thresholdTouch: 0.62,
+            thresholdPen: 0.65,
+            thresholdKeyboard: 0.6,
+            thresholdChallenge: 0.5,
+            uncertainMargin: 0.05,
+            minEvidence: 0.5,
+            normalize: true
+        };
+        this.nnMouse = new AdaptivePerceptron(InputTypeDetector.TYPES.MOUSE);
+        this.nnTouch = new AdaptivePerceptron(InputTypeDetector.TYPES.TOUCH);
+        this.nnPen = new AdaptivePerceptron(InputTypeDetector.TYPES.PEN);
+        this.nnKeyboard = new AdaptivePerceptron(InputTypeDetector.TYPES.KEYBOARD);
+        this.scorers = {};
+        VhumAnalyzer.MODALITIES.forEach(type => { this.scorers[type] = new VhumPerceptronScorer(this.nnFor(type)); });
+        this.nnChallenge = {};
+        Object.keys(VhumAnalyzer.CHALLENGE_MODELS).forEach(type => {
+            this.nnChallenge[type] = new AdaptivePerceptron(type, VhumAnalyzer.CHALLENGE_MODELS[type]);
+        });
+        this.setOptions(options);
+    }
+
+    setOptions(options = {}) {
+        if (options.thresholdMouse !== undefined) this.options.thresholdMouse = options.thresholdMouse;
+        if (options.thresholdTouch !== undefined) this.options.thresholdTouch = options.thresholdTouch;
+        if (options.thresholdPen !== undefined) this.options.thresholdPen = options.thresholdPen;
+        if (options.thresholdKeyboard !== undefined) this.options.thresholdKeyboard = options.thresholdKeyboard;
+        ['thresholdChallenge', 'uncertainMargin', 'minEvidence', 'normalize'].forEach(key => {
+            if (options[key] !== undefined) this.options[key] = options[key];
+        });
+        if (options.model) this.loadModel(options.model);
+        return this;
+    }
+
+    /**
+     * Per-modality models: { mouse, touch, pen, keyboard }, each a serialized
+     * model of any VhumScorer type or a scorer instance.
+     */
+    loadModel(model) {
+        const data = typeof model === 'string' ? JSON.parse(model) : model;
+        VhumAnalyzer.MODALITIES.forEach(type => {
+            if (data[type]) this.setScorer(type, data[type]);
+        });
+        return this;
+    }
+
+    setScorer(inputType, model) {
+        if (model && typeof model.predict === 'function') {
+            this.scorers[inputType] = model;
+            return this;
+        }
+        const data = typeof model === 'string' ? JSON.parse(model) : model;
+        if (!data.type || data.type === 'perceptron') {
+            // Perceptron weights load in place, so nnMouse & co. stay the live models
+            this.nnFor(inputType).load(data);
+            this.scorers[inputType] = new VhumPerceptronScorer(this.nnFor(inputType));
+        } else {
+            this.scorers[inputType] = VhumScorer.fromJSON(data, inputType);
+        }
+        return this;
+    }
+
+    // Serializable scorers only; custom instances without toJSON() are left out
+    exportModel() {
+        const model = {};
+        VhumAnalyzer.MODALITIES.forEach(type => {
+            const scorer = this.scorers[type];
+            if (scorer && typeof scorer.toJSON === 'function') model[type] = scorer.toJSON();
+        });
+        return model;
+    }
+
+    scorerFor(inputType) {
+        return this.scorers[inputType] || this.scorers[InputTypeDetector.TYPES.MOUSE];
+    }
+
+    nnFor(inputType) {
+        switch (inputType) {
+            case InputTypeDetector.TYPES.TOUCH: return this.nnTouch;
+            case InputTypeDetector.TYPES.PEN: return this.nnPen;
+            case InputTypeDetector.TYPES.KEYBOARD: return this.nnKeyboard;
+            default: return this.nnMouse;
+        }
+    }
+
+    /**
+     * Feature contributions plus stable reason codes for every feature that
+     * pushed z toward bot by at least REASON_MIN_CONTRIBUTION.
+     */
+    explain({ probability, z, bias, contributions }, threshold) {
+        const t = Math.max(1e-6, Math.min(1 - 1e-6, threshold));
+        const reasons = contributions
+            .filter(c => c.contribution >= VhumAnalyzer.REASON_MIN_CONTRIBUTION && VhumAnalyzer.REASON_CODES[c.feature])
+            .map(c => VhumAnalyzer.REASON_CODES[c.feature]);
+        return {
+            z,
+            bias,
+            threshold,
+            margin: probability - threshold,
+            zMargin: z - Math.log(t / (1 - t)),
+            contributions,
+            reasons
+        };
+    }
+
+    /**
+     * How much the verdict can be trusted: share of analyzers that had
+     * enough points (coverage) blended with how many samples were seen.
+     */
+    evidence(coverage, samples, saturation = 15) {
+        const score = 0.4 * coverage + 0.6 * Math.min(1, samples / saturation);
+        return { score: Math.round(score * 1000) / 1000, coverage, samples };
+    }
+
+    decide(probability, threshold, evidence) {
+        const V = VhumAnalyzer.VERDICT;
+        if (evidence.score < this.options.minEvidence) return V.UNCERTAIN;
+        if (Math.abs(probability - threshold) < this.options.uncertainMargin) return V.UNCERTAIN;
+        return probability > threshold ? V.BOT : V.HUMAN;
+    }
+
+    static outcome(verdict) {
+        return ['bot', 'human', 'uncertain'][verdict];
+    }
+
+    thresholdFor(inputType) {
+        switch (inputType) {
+            case InputTypeDetector.TYPES.TOUCH: return this.options.thresholdTouch;
+            case InputTypeDetector.TYPES.PEN: return this.options.thresholdPen;
+            case InputTypeDetector.TYPES.KEYBOARD: return this.options.thresholdKeyboard;
+            default: return this.options.thresholdMouse;
+        }
+    }
+
+    analyze(session) {
+        if (session.challenge) return this.analyzeChallenge(session);
+        if (session.inputSource === InputTypeDetector.TYPES.KEYBOARD) return this.analyzeKeyboard(session);
+
+        const calibration = session.calibration || null;
+        const scale = this.options.normalize ? VhumAnalyzer.calibrationScale(calibration) : 1;
+        if (scale !== 1) session = VhumAnalyzer.rescale(session, scale);
+
+        const points = session.points;
+        const inputType = InputTypeDetector.detect(points, session.inputSource);
+        const isTouch = inputType === InputTypeDetector.TYPES.TOUCH;
+        const isPen = inputType === InputTypeDetector.TYPES.PEN;
+        const scorer = this.scorerFor(inputType);
+
+        const t_up = session.t_up;
+        const dwellTime = t_up - session.t_down;
+        const decisionTime = Math.max(session.t_down - session.t_entry, 100);
+        const movementTime = t_up - session.t_entry;
+        
+        const targetRect = session.target;
+        const entryPoint = session.entry;
+        const targetCenter = { 
+            x: targetRect.left + targetRect.width/2, 
+            y: targetRect.top + targetRect.height/2 
+        };
+        
+        const D = Math.hypot(targetCenter.x - entryPoint.x, targetCenter.y - entryPoint.y);
+        const W = Math.min(targetRect.width, targetRect.height);
+        const ID = Math.max(0, Math.log2((2 * D) / (W + 1) + 1));
+        
+        const throughputExpected = isTouch ? 2.5 : 4.0;
+        const timeExpectedFitts = (ID / throughputExpected) * 1000;
+        const fittsViolation = isTouch ? 
+            movementTime < timeExpectedFitts * 0.35 :
+            movementTime < timeExpectedFitts * 0.6;
+        
+        // Kinematic thresholds were tuned on ~8 ms spacing; full-rate coalesced
+        // samples are merged back to that grid instead of clamping dt. A live
+        // session brings the stream it filled in addPoint().
+        const stream = session.stream instanceof VhumStream && session.stream.scale === scale ?
+            session.stream : VhumStream.from(points);
+        const summary = stream.summary(inputType);
+        const { jitter, curvature, entropy, pauses, counts } = summary;
+        const speedStats = summary.speed;
+        const accelStats = summary.accel;
+
+        // Frame quantisation is only meaningful on dispatched events. When the
+        // device delivered sub-frame samples, frame-synced dispatch is the
+        // browser's batching, not the input source.
+        const subFrameSamples = counts.samples > counts.dispatched * 1.05;
+        const temporalAnalysis = summary.temporal;
+
+        const temporalViolation = !subFrameSamples && (isTouch ?
+            temporalAnalysis.isSuspicious && temporalAnalysis.perfectSync > 0.85 :
+            temporalAnalysis.isSuspicious);
+
+        const inputs = {
+            fitts: fittsViolation ? 1 : 0,
+            temporal: temporalViolation ? 1 : 0,
+            decision: decisionTime < (isTouch ? 220 : 150) ? 1 : 0,
+            jitter: jitter.isWhiteNoise ? 1 : 0,
+            dwell: (dwellTime < (isTouch ? 100 : 40) || 
+                     dwellTime > (isTouch ? 1500 : 1000)) ? 1 : 0,
+            speed: 1 - speedStats.score,
+            accel: 1 - accelStats.score,
+            curvature: 1 - curvature.score,
+            // Too few samples for a direction histogram: no evidence either way
+            entropy: entropy.normalizedEntropy === undefined ? 0 : Math.abs(entropy.normalizedEntropy - 0.6),
+            pauses: 1 - pauses.score
+        };
+
+        const approach = isTouch ? null : this.analyzeApproach(session.approach || [], session);
+        if (approach) {
+            inputs.submovements = approach.sufficient && approach.submovements <= 1 ? 1 : 0;
+            inputs.correction = approach.sufficient && !approach.corrected ? 1 : 0;
+            inputs.endpoint = Math.max(0, 1 - approach.endpointError / 0.15);
+            inputs.approachEntropy = approach.sufficient ? Math.abs(approach.entropy - 0.6) : 0;
+        }
+
+        const pen = isPen ? this.analyzePen(points) : null;
+        if (pen) {
+            inputs.pressure = pen.constantPressure ? 1 : Math.max(0, 1 - pen.pressureCV / 0.1);
+            inputs.tilt = Math.max(0, 1 - pen.tiltRange / 4);
+        }
+
+        const contact = isTouch ? this.analyzeContact(points, session.contacts) : null;
+        if (contact) {
+            inputs.contactSize = contact.sufficient ? Math.max(0, 1 - contact.sizeCV / 0.05) : 0;
+            inputs.forceRamp = !contact.forceReported ? 0 :
+                contact.constantForce ? 1 : (contact.rampUp ? 0 : 0.5) + (contact.rampDown ? 0 : 0.5);
+            inputs.microDrift = contact.stationarySteps >= 4 ? contact.frozen : 0;
+        }
+
+        // Tremor and movement profile need the whole trajectory, approach included
+        const path = isTouch ? points : (session.approach || []).concat(points);
+        const tremor = this.analyzeTremor(path);
+        const minimumJerk = this.analyzeMinimumJerk(path);
+        inputs.tremor = tremor.sufficient ? Math.max(0, 1 - tremor.ratio / 0.35) : 0;
+        inputs.minJerk = minimumJerk.sufficient ? Math.max(0, Math.min(1, (minimumJerk.residual - 0.2) / 0.3)) : 0;
+
+        Object.assign(inputs, this.environmentInputs(session, inputs));
+
+        const analysisDetails = {
+            dwell: dwellTime,
+            reaction: decisionTime,
+            fitts: ID,
+            temporal: temporalAnalysis.perfectSync,
+            jitter: jitter.cv,
+            speed: speedStats.score,
+            accel: accelStats.score,
+            curvature: curvature.score,
+            entropy: entropy.normalizedEntropy,
+            pauses: pauses.score,
+            tremorRatio: tremor.ratio,
+            tremorHz: tremor.peakHz,
+            minJerkResidual: minimumJerk.residual,
+            minJerkSegments: minimumJerk.submovements.length
+        };
+        if (approach) {
+            analysisDetails.submovements = approach.submovements;
+            analysisDetails.overshoot = approach.overshoot;
+            analysisDetails.endpoint = approach.endpointError;
+            analysisDetails.approachEntropy = approach.entropy;
+        }
+        if (pen) {
+            analysisDetails.pressure = pen.pressureCV;
+            analysisDetails.tilt = pen.tiltRange;
+        }
+        if (contact) {
+            analysisDetails.contactSize = contact.sizeCV;
+            analysisDetails.forceRange = contact.forceRange;
+            analysisDetails.stationaryDrift = contact.stationaryDrift;
+        }
+
+        const baseline = this.baselineScore(session, analysisDetails);
+        if (baseline) inputs.baseline = baseline.anomaly;
+
+        const scored = scorer.predict({ inputs, details: analysisDetails });
+        const probability = scored.probability;
+        const threshold = this.thresholdFor(inputType);
+        // Share of the stream analyses that had enough samples to report
+        const ready = [
+            ...Object.values(KinematicAccumulator.MIN_SAMPLES).map(min => counts.kinematic >= min),
+            counts.samples >= PauseAccumulator.MIN_SAMPLES,
+            counts.dispatched >= TimingAccumulator.MIN_SAMPLES
+        ];
+        const coverage = ready.filter(Boolean).length / ready.length;
+        const evidence = this.evidence(coverage, counts.kinematic + (approach ? approach.samples : 0));
+        const verdict = this.decide(probability, threshold, evidence); // 0=bot, 1=human, 2=uncertain
+
+        const result = {
+            probability: Math.round(probability * 10000) / 10000,
+            verdict: verdict, // 0: bot, 1: human, 2: uncertain
+            outcome: VhumAnalyzer.outcome(verdict),
+            inputType,
+            thresholdUsed: threshold,
+            evidence,
+            explanation: this.explain(scored, threshold),
+            analysisDetails,
+            inputs,
+            features: {
+                fitts: { D, W, ID, movementTime, timeExpected: timeExpectedFitts, violation: fittsViolation },
+                jitter,
+                speed: speedStats,
+                accel: accelStats,
+                curvature,
+                entropy,
+                pauses,
+                tremor,
+                minimumJerk,
+                temporal: temporalAnalysis,
+                calibration: { ...calibration, scale },
+                sampling: { ...counts, subFrameSamples },
+                baseline
+            }
+        };
+        if (approach) result.features.approach = approach;
+        if (pen) result.features.pen = pen;
+        if (contact) result.features.contact = contact;
+
+        return result;
+    }
+
+    // Collected in the browser by VhumEnvironment. The trace comes from the
+    // client, so only registered checks are taken, never over an input the
+    // analyzer computed, and clamped to their trained range
+    environmentInputs(session, computed = {}) {
+        const env = session.environment || {};
+        const inputs = {};
+        Object.keys(env).forEach(name => {
+            if (!Object.prototype.hasOwnProperty.call(VhumEnvironment.CHECKS, name) ||
+                Object.prototype.hasOwnProperty.call(computed, name)) return;
+            const value = Number(env[name]);
+            if (isFinite(value)) inputs[name] = Math.max(0, Math.min(1, value));
+        });
+        return inputs;
+    }
+
+    // Distance from the user's enrolled profile; the session carries a
+    // snapshot of it, so replays and the verifier reproduce the input
+    baselineScore(session, details) {
+        const profile = session.baseline;
+        return profile && profile.stats ? VhumBaseline.score(profile, details) : null;
+    }
+
+    /**
+     * Scores a step-up challenge. The session carries the challenge spec
+     * (geometry/timing shown to the user); the kinematic pipeline runs as
+     * usual and feeds the challenge's own expected-behavior model.
+     */
+    analyzeChallenge(session) {
+        const { type } = session.challenge;
+        const nn = this.nnChallenge[type];
+        if (!nn) throw new Error('VhumAnalyzer: unknown challenge type ' + type);
+        if (!VhumChallenge.TYPES[type].valid(session.challenge)) throw new Error('VhumAnalyzer: malformed ' + type + ' challenge spec');
+
+        const keyboard = session.inputSource === InputTypeDetector.TYPES.KEYBOARD;
+        if (keyboard && !VhumAnalyzer.KEYBOARD_CHALLENGES.includes(type)) {
+            throw new Error('VhumAnalyzer: the ' + type + ' challenge cannot be answered with the keyboard');
+        }
+        const base = keyboard ? null : this.analyze({ ...session, challenge: null, approach: [] });
+        const features = this['_challenge_' + type](session, base);
+        const inputs = { ...features.inputs, ...this.environmentInputs(session, features.inputs) };
+
+        const scored = new VhumPerceptronScorer(nn).predict({ inputs, details: features.details });
+        const probability = scored.probability;
+        const threshold = this.options.thresholdChallenge;
+        const V = VhumAnalyzer.VERDICT;
+        const verdict = probability > threshold ? V.BOT : V.HUMAN;
+
+        return {
+            probability: Math.round(probability * 10000) / 10000,
+            verdict,
+            outcome: VhumAnalyzer.outcome(verdict),
+            inputType: InputTypeDetector.detect(session.points, session.inputSource),
+            challenge: type,
+            thresholdUsed: threshold,
+            explanation: this.explain(scored, threshold),
+            analysisDetails: { ...(base ? base.analysisDetails : {}), ...features.details },
+            inputs,
+            features: { base: base ? base.features : null, challenge: features.details }
+        };
+    }
+
+    // Drag the handle into a slot: must land in it, but not pixel-perfect or perfectly level
+    _challenge_slider(session, base) {
+        const spec = session.challenge;
+        const pts = session.points;
+        const half = spec.handleWidth / 2;
+        // With no samples the handle never left its start
+        const dx = pts.length ? pts[pts.length - 1].x - pts[0].x : 0;
+        const handleX = Math.max(spec.trackLeft + half, Math.min(spec.trackLeft + spec.trackWidth - half, spec.startCenter + dx));
+        const error = Math.abs(handleX - spec.slotCenter);
+        const ys = pts.map(p => p.y);
+        const meanY = ys.reduce((a,b)=>a+b,0) / Math.max(1, ys.length);
+        const yStd = Math.sqrt(ys.reduce((a,b)=>a+Math.pow(b-meanY,2),0) / Math.max(1, ys.length));
+        const duration = session.t_up - session.t_down;
+
+        return {
+            inputs: {
+                miss: error > spec.slotWidth / 2 ? 1 : 0,
+                exact: Math.max(0, 1 - error / 2),
+                axis: pts.length > 3 && yStd < 0.5 ? 1 : 0,
+                duration: duration < 250 ? 1 : 0,
+                temporal: base.inputs.temporal,
+                jitter: base.inputs.jitter,
+                speed: base.inputs.speed,
+                accel: base.inputs.accel
+            },
+            details: { slotError: error, axisDeviation: yStd, duration }
+        };
+    }
+
+    // Trace a polyline: stay near it, and slow down where it bends (two-thirds power law)
+    _challenge_trace(session, base) {
+        const path = session.challenge.path;
+        const pts = VhumAnalyzer.consolidate(session.points, VhumAnalyzer.MIN_SAMPLE_DT);
+        const distTo = (p) => {
+            let best = Infinity;
+            for (let i = 1; i < path.length; i++) {
+                const [ax, ay] = path[i-1], [bx, by] = path[i];
+                const len2 = (bx-ax)*(bx-ax) + (by-ay)*(by-ay) || 1;
+                const k = Math.max(0, Math.min(1, ((p.x-ax)*(bx-ax) + (p.y-ay)*(by-ay)) / len2));
+                best = Math.min(best, Math.hypot(p.x - (ax + k*(bx-ax)), p.y - (ay + k*(by-ay))));
+            }
+            return best;
+        };
+        const deviation = pts.reduce((a,p)=>a+distTo(p),0) / Math.max(1, pts.length);
+        const xs = path.map(p => p[0]);
+        const span = Math.max(...xs) - Math.min(...xs) || 1;
+        const covered = pts.length ? (Math.max(...pts.map(p => p.x)) - Math.min(...pts.map(p => p.x))) / span : 0;
+
+        const speeds = [], bends = [];
+        for (let i = 2; i < pts.length; i++) {
+            const dt = Math.max(1, pts[i].t - pts[i-1].t) / 1000;
+            speeds.push(Math.hypot(pts[i].x - pts[i-1].x, pts[i].y - pts[i-1].y) / dt);
+            const a1 = Math.atan2(pts[i-1].y - pts[i-2].y, pts[i-1].x - pts[i-2].x);
+            const a2 = Math.atan2(pts[i].y - pts[i-1].y, pts[i].x - pts[i-1].x);
+            bends.push(Math.abs(Math.atan2(Math.sin(a2 - a1), Math.cos(a2 - a1))));
+        }
+        const speedBendCorrelation = VhumAnalyzer.correlation(speeds, bends);
+        const duration = session.t_up - session.t_down;
+
+        return {
+            inputs: {
+                miss: deviation > 30 || covered < 0.8 ? 1 : 0,
+                exact: deviation < 1.5 ? 1 : 0,
+                powerLaw: speedBendCorrelation > -0.1 ? 1 : 0,
+                duration: duration < 400 ? 1 : 0,
+                temporal: base.inputs.temporal,
+                jitter: base.inputs.jitter,
+                accel: base.inputs.accel
+            },
+            details: { traceDeviation: deviation, traceCoverage: covered, speedBendCorrelation, duration }
+        };
+    }
+
+    // Hold for spec.duration then release: humans land near it, never to the
+    // millisecond, need time to read the task and move a cursor onto the button
+    _challenge_hold(session) {
+        const held = session.t_up - session.t_down;
+        const error = Math.abs(held - session.challenge.duration);
+        const pts = session.points;
+        let drift = 0;
+        for (let i = 1; i < pts.length; i++) drift += Math.hypot(pts[i].x - pts[i-1].x, pts[i].y - pts[i-1].y);
+        const contact = session.inputSource === 'touch' || session.inputSource === 'pen';
+        const hover = session.inputSource === 'mouse' || session.inputSource === 'pen';
+        const reaction = session.t_down - session.t_entry;
+        const approach = (session.approach || []).length;
+
+        return {
+            inputs: {
+                miss: error > 600 ? 1 : 0,
+                exact: error < 15 ? 1 : 0,
+                still: contact && drift === 0 ? 1 : 0,
+                reaction: !(reaction >= 250) ? 1 : 0,
+                approach: hover && approach < 3 ? 1 : 0
+            },
+            details: { holdError: error, held, drift, reaction, approachSamples: approach }
+        };
+    }
+
+    static correlation(a, b) {
+        const n = Math.min(a.length, b.length);
+        if (n < 3) return 0;
+        const ma = a.slice(0, n).reduce((x,y)=>x+y,0) / n;
+        const mb = b.slice(0, n).reduce((x,y)=>x+y,0) / n;
+        let cov = 0, va = 0, vb = 0;
+        for (let i = 0; i < n; i++) {
+            cov += (a[i]-ma) * (b[i]-mb);
+            va += (a[i]-ma) * (a[i]-ma);
+            vb += (b[i]-mb) * (b[i]-mb);
+        }
+        return va > 0 && vb > 0 ? cov / Math.sqrt(va * vb) : 0;
+    }
+
+    /**
+     * Keyboard path: scores focus traversal timing (tab stops before the
+     * checkbox), activation key dwell, inter-key rhythm and how fast the
+     * checkbox was activated after receiving focus.
+     */
+    analyzeKeyboard(session) {
+        const keys = session.keys || [];
+        const focus = session.focus || [];
+        const dwellTime = session.t_up - session.t_down;
+        const focusAt = focus.length ? focus[focus.length - 1] : session.t_entry;
+        const decisionTime = session.t_down - focusAt;
+
+        const focusIntervals = [];
+        for (let i = 1; i < focus.length; i++) focusIntervals.push(focus[i] - focus[i-1]);
+        const meanFocusInterval = focusIntervals.length ?
+            focusIntervals.reduce((a,b)=>a+b,0) / focusIntervals.length : 0;
+
+        const keyIntervals = [];
+        for (let i = 1; i < keys.length; i++) keyIntervals.push(keys[i].down - keys[i-1].down);
+        const meanKeyInterval = keyIntervals.length ? keyIntervals.reduce((a,b)=>a+b,0) / keyIntervals.length : 0;
+        const keyVariance = keyIntervals.length ?
+            keyIntervals.reduce((a,b)=>a+Math.pow(b-meanKeyInterval,2),0) / keyIntervals.length : 0;
+        const rhythmCV = meanKeyInterval > 0 ? Math.sqrt(keyVariance) / meanKeyInterval : 0;
+
+        const inputs = {
+            traversal: focusIntervals.length ? Math.max(0, Math.min(1, 1 - (meanFocusInterval - 40) / 160)) : 0.5,
+            keyDwell: (dwellTime < 25 || dwellTime > 1500) ? 1 : 0,
+            rhythm: keyIntervals.length >= 2 ? Math.max(0, 1 - rhythmCV / 0.3) : 0.5,
+            decision: decisionTime < 100 ? 1 : 0,
+            path: focus.length < 2 ? 1 : 0
+        };
+        Object.assign(inputs, this.environmentInputs(session, inputs));
+        const analysisDetails = {
+            dwell: dwellTime,
+            reaction: decisionTime,
+            traversal: meanFocusInterval,
+            rhythm: rhythmCV,
+            path: Math.max(0, focus.length - 1)
+        };
+
+        const baseline = this.baselineScore(session, analysisDetails);
+        if (baseline) inputs.baseline = baseline.anomaly;
+
+        const scored = this.scorerFor(InputTypeDetector.TYPES.KEYBOARD).predict({ inputs, details: analysisDetails });
+        const probability = scored.probability;
+        const threshold = this.thresholdFor(InputTypeDetector.TYPES.KEYBOARD);
+        const evidence = this.evidence(keyIntervals.length >= 2 ? 1 : 0.5, focus.length + keys.length, 6);
+        const verdict = this.decide(probability, threshold, evidence);
+
+        return {
+            probability: Math.round(probability * 10000) / 10000,
+            verdict,
+            outcome: VhumAnalyzer.outcome(verdict),
+            inputType: InputTypeDetector.TYPES.KEYBOARD,
+            thresholdUsed: threshold,
+            evidence,
+            explanation: this.explain(scored, threshold),
+            analysisDetails,
+            inputs,
+            features: {
+                focusIntervals,
+                keyIntervals,
+                keyCount: keys.length,
+                baseline
+            }
+        };
+    }
+
+    /**
+     * Ballistic approach toward the target before the press: velocity
+     * submovements, overshoot/correction around the target, where the press
+     * landed relative to the target center, and approach direction entropy.
+     */
+    analyzeApproach(approach, session) {
+        const rect = session.target;
+        const center = { x: rect.left + rect.width/2, y: rect.top + rect.height/2 };
+        const W = Math.max(1, Math.min(rect.width, rect.height));
+        const press = session.points.length ? session.points[0] : session.entry;
+        const endpointError = Math.hypot(press.x - center.x, press.y - center.y) / W;
+
+        const pts = VhumAnalyzer.consolidate(approach, VhumAnalyzer.MIN_SAMPLE_DT);
+        if (pts.length < 5) {
+            return { sufficient: false, samples: pts.length, submovements: 0, overshoot: 0, corrected: false, corrections: 0, endpointError, entropy: 0 };
+        }
+
+        const speeds = [];
+        for (let i = 1; i < pts.length; i++) {
+            const dt = Math.max(1, pts[i].t - pts[i-1].t) / 1000;
+            speeds.push(Math.hypot(pts[i].x - pts[i-1].x, pts[i].y - pts[i-1].y) / dt);
+        }
+        const smooth = speeds.map((v, i) => {
+            const win = speeds.slice(Math.max(0, i - 1), i + 2);
+            return win.reduce((a,b)=>a+b,0) / win.length;
+        });
+        const vmax = Math.max(...smooth);
+
+        // A submovement starts when speed climbs clearly out of a valley
+        let submovements = 0, rising = false, valley = 0, peak = 0;
+        smooth.forEach(v => {
+            if (!rising) {
+                valley = Math.min(valley, v);
+                if (v > Math.max(valley * 1.3, vmax * 0.25)) {
+                    submovements++;
+                    rising = true;
+                    peak = v;
+                }
+            } else {
+                peak = Math.max(peak, v);
+                if (v < peak * 0.7) {
+                    rising = false;
+                    valley = v;
+                }
+            }
+        });
+
+        const start = pts[0];
+        const L = Math.hypot(center.x - start.x, center.y - start.y);
+        const u = L > 0 ? { x: (center.x - start.x) / L, y: (center.y - start.y) / L } : { x: 0, y: 0 };
+        const proj = pts.map(p => (p.x - start.x) * u.x + (p.y - start.y) * u.y);
+        const overshoot = Math.max(0, Math.max(...proj) - L) / W;
+        let corrections = 0, lastSign = 0;
+        for (let i = 1; i < proj.length; i++) {
+            if (proj[i] < L - 3 * W) continue;
+            const d = proj[i] - proj[i-1];
+            if (Math.abs(d) < 0.5) continue;
+            const sign = Math.sign(d);
+            if (lastSign && sign !== lastSign) corrections++;
+            lastSign = sign;
+        }
+
+        return {
+            sufficient: true,
+            samples: pts.length,
+            submovements,
+            overshoot,
+            corrected: overshoot > 0.5 || corrections > 0,
+            corrections,
+            endpointError,
+            entropy: this.analyzeEntropy(pts).normalizedEntropy || 0
+        };
+    }
+
+    /**
+     * Factor from client CSS px to reference px: pinch zoom magnifies layout
+     * px on screen, and a CSS px is physically larger on handhelds and at
+     * browser zoom. 1 when the session carries no calibration.
+     */
+    static calibrationScale(calibration) {
+        if (!calibration || !(calibration.pxPerMm > 0)) return 1;
+        const zoom = calibration.zoom > 0 ? calibration.zoom : 1;
+        const scale = zoom * VhumAnalyzer.REFERENCE_PX_PER_MM / calibration.pxPerMm;
+        return Math.max(0.25, Math.min(4, scale));
+    }
+
+    static rescale(session, k) {
+        const point = (p) => ({ ...p, x: p.x * k, y: p.y * k });
+        const rect = session.target;
+        return {
+            ...session,
+            points: session.points.map(point),
+            approach: (session.approach || []).map(point),
+            entry: point(session.entry),
+            target: { left: rect.left * k, top: rect.top * k, width: rect.width * k, height: rect.height * k }
+        };
+    }
+
+    /**
+     * Linear interpolation of an irregular point stream onto a uniform time
+     * grid, so spectra and velocity profiles don't depend on event timing.
+     * Only the last `limit` grid samples are produced.
+     */
+    static resample(pts, dt = VhumAnalyzer.RESAMPLE_DT, limit = Infinity) {
+        if (pts.length < 2) return pts.map(p => ({ x: p.x, y: p.y, t: p.t }));
+        const out = [];
+        const t0 = pts[0].t, t1 = pts[pts.length - 1].t;
+        const skip = Math.max(0, Math.floor((t1 - t0) / dt) + 1 - limit);
+        let j = 0;
+        for (let k = skip; t0 + k * dt <= t1; k++) {
+            const t = t0 + k * dt;
+            while (j < pts.length - 2 && pts[j + 1].t < t) j++;
+            const a = pts[j], b = pts[j + 1];
+            const f = b.t > a.t ? Math.max(0, Math.min(1, (t - a.t) / (b.t - a.t))) : 1;
+            out.push({ x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f, t });
+        }
+        return out;
+    }
+
+    /**
+     * Physiological tremor: share of the high-passed position spectrum that
+     * falls in the 8-12 Hz band. Scripted paths leave no residual; additive
+     * Gaussian noise spreads evenly across the spectrum.
+     */
+    analyzeTremor(pts) {
+        const dt = VhumAnalyzer.RESAMPLE_DT;
+        const grid = VhumAnalyzer.resample(pts, dt, VhumAnalyzer.TREMOR_SAMPLES);
+        if (grid.length < 32) return { sufficient: false, samples: grid.length, ratio: 0, peakHz: 0, amplitude: 0 };
+
+        // Subtracting an ~88 ms moving average keeps everything above ~5 Hz
+        const half = 5;
+        const residual = (axis) => grid.map((p, i) => {
+            const win = grid.slice(Math.max(0, i - half), i + half + 1);
+            return p[axis] - win.reduce((a, q) => a + q[axis], 0) / win.length;
+        });
+        const rx = residual('x').slice(half, -half);
+        const ry = residual('y').slice(half, -half);
+        const n = rx.length;
+        const amplitude = Math.sqrt(rx.concat(ry).reduce((a, v) => a + v * v, 0) / (2 * n));
+
+        // Hann-windowed DFT at each bin between 4 and 30 Hz
+        const fs = 1000 / dt;
+        const hann = rx.map((v, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)));
+        const [low, high] = VhumAnalyzer.TREMOR_BAND;
+        let band = 0, total = 0, peak = { power: 0, hz: 0 };
+        for (let k = Math.ceil(4 * n / fs); k <= Math.floor(30 * n / fs); k++) {
+            let re = 0, im = 0, re2 = 0, im2 = 0;
+            for (let i = 0; i < n; i++) {
+                const angle = 2 * Math.PI * k * i / n;
+                re += rx[i] * hann[i] * Math.cos(angle);
+                im -= rx[i] * hann[i] * Math.sin(angle);
+                re2 += ry[i] * hann[i] * Math.cos(angle);
+                im2 -= ry[i] * hann[i] * Math.sin(angle);
+            }
+            const power = re * re + im * im + re2 * re2 + im2 * im2;
+            const hz = k * fs / n;
+            total += power;
+            if (hz >= low && hz <= high) band += power;
+            if (power > peak.power) peak = { power, hz };
+        }
+
+        // Sub-0.05 px residual is interpolation noise, not tremor
+        const ratio = amplitude > 0.05 && total > 0 ? band / total : 0;
+        return { sufficient: true, samples: grid.length, ratio, peakHz: peak.hz, amplitude };
+    }
+
+    /**
+     * Splits the speed profile at clear valleys and fits each submovement
+     * with the minimum-jerk bell v(τ) = D/T · 30τ²(1-τ)². Residual is RMS
+     * error over peak speed, weighted by submovement distance.
+     */
+    analyzeMinimumJerk(pts) {
+        const dt = VhumAnalyzer.RESAMPLE_DT;
+        const grid = VhumAnalyzer.resample(pts, dt, VhumAnalyzer.MIN_JERK_SAMPLES);
+        if (grid.length < 10) return { sufficient: false, residual: 0, submovements: [] };
+
+        const raw = [];
+        for (let i = 1; i < grid.length; i++) {
+            raw.push(Math.hypot(grid[i].x - grid[i-1].x, grid[i].y - grid[i-1].y) / (dt / 1000));
+        }
+        const speed = raw.map((v, i) => {
+            const win = raw.slice(Math.max(0, i - 2), i + 3);
+            return win.reduce((a,b)=>a+b,0) / win.length;
+        });
+        const vmax = Math.max(...speed);
+        // Contact drift on a tap isn't a reaching movement
+        const length = raw.reduce((a,b)=>a+b,0) * dt / 1000;
+        if (vmax <= 0 || length < 10) return { sufficient: false, residual: 0, submovements: [] };
+
+        // A valley splits when it's well below the peaks on both sides: the
+        // running max since the last cut, and the max of everything after it
+        const right = new Array(speed.length);
+        for (let i = speed.length - 1, max = -Infinity; i >= 0; i--) right[i] = max = Math.max(max, speed[i]);
+        const cuts = [0];
+        let left = speed[0];
+        for (let i = 1; i < speed.length - 1; i++) {
+            left = Math.max(left, speed[i]);
+            if (speed[i] > speed[i-1] || speed[i] > speed[i+1]) continue;
+            if (speed[i] < 0.6 * left && speed[i] < 0.6 * right[i]) {
+                cuts.push(i);
+                left = speed[i];
+            }
+        }
+        cuts.push(speed.length - 1);
+
+        const submovements = [];
+        for (let c = 1; c < cuts.length; c++) {
+            const a = cuts[c - 1], b = cuts[c];
+            const seg = speed.slice(a, b + 1);
+            const peak = Math.max(...seg);
+            if (seg.length < 4 || peak < 0.1 * vmax) continue;
+            const T = (seg.length - 1) * dt / 1000;
+            const D = seg.reduce((x, v) => x + v, 0) * dt / 1000;
+            let err = 0;
+            seg.forEach((v, i) => {
+                const tau = i / (seg.length - 1);
+                const model = (D / T) * 30 * tau * tau * (1 - tau) * (1 - tau);
+                err += Math.pow(v - model, 2);
+            });
+            submovements.push({ duration: T * 1000, distance: D, peakSpeed: peak, residual: Math.sqrt(err / seg.length) / peak });
+        }
+        if (!submovements.length) return { sufficient: false, residual: 0, submovements };
+
+        const distance = submovements.reduce((a, m) => a + m.distance, 0);
+        const residual = submovements.reduce((a, m) => a + m.residual * m.distance, 0) / Math.max(1e-9, distance);
+        return { sufficient: true, residual, submovements };
+    }
+
+    /**
+     * Merges samples closer than minDt (ms) into the latest one, keeping the
+     * first and last points so path endpoints and duration are preserved.
+     */
+    static consolidate(pts, minDt) {
+        if (pts.length < 3) return pts.slice();
+        const out = [pts[0]];
+        for (let i = 1; i < pts.length; i++) {
+            const last = out[out.length - 1];
+            if (pts[i].t - last.t >= minDt) {
+                out.push(pts[i]);
+            } else if (i === pts.length - 1 && out.length > 1) {
+                out[out.length - 1] = pts[i];
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Pen-only signals. Real styluses report pressure that ramps and wobbles
+     * and tilt that drifts during a stroke; synthetic PointerEvents usually
+     * carry a constant pressure (0 or 0.5) and zero tilt.
+     */
+    analyzePen(pts) {
+        const pressures = pts.filter(p => typeof p.pressure === 'number').map(p => p.pressure);
+        if (pressures.length < 3) {
+            return { pressureMean: 0, pressureStd: 0, pressureCV: 0, constantPressure: true, tiltRange: 0, tiltDrift: 0 };
+        }
+        const pressureMean = pressures.reduce((a,b)=>a+b,0) / pressures.length;
+        const pressureVar = pressures.reduce((a,b)=>a+Math.pow(b-pressureMean,2),0) / pressures.length;
+        const pressureStd = Math.sqrt(pressureVar);
+        const pressureCV = pressureMean > 0 ? pressureStd / pressureMean : 0;
+        const constantPressure = pressureStd < 1e-4;
+
+        const tilted = pts.filter(p => typeof p.tiltX === 'number');
+        let tiltDrift = 0;
+        for (let i = 1; i < tilted.length; i++) {
+            tiltDrift += Math.hypot(tilted[i].tiltX - tilted[i-1].tiltX, tilted[i].tiltY - tilted[i-1].tiltY);
+        }
+        const tiltRange = tilted.length ? Math.max(
+            Math.max(...tilted.map(p => p.tiltX)) - Math.min(...tilted.map(p => p.tiltX)),
+            Math.max(...tilted.map(p => p.tiltY)) - Math.min(...tilted.map(p => p.tiltY))
+        ) : 0;
+
+        return { pressureMean, pressureStd, pressureCV, constantPressure, tiltRange, tiltDrift };
+    }
+
+    /**
+     * Touch-only signals from the contact itself. A fingertip flattens and
+     * rolls while pressed, so its contact size varies; force ramps up after
+     * touchstart and down before touchend; and a finger held still keeps
+     * drifting by fractions of a pixel. Emulated touch reports constant or
+     * zero geometry and repeats the exact same coordinates.
+     */
+    analyzeContact(pts, contacts = null) {
+        const sized = pts.filter(p => typeof p.radiusX === 'number');
+        const sizes = sized.map(p => (p.radiusX + (p.radiusY || p.radiusX)) / 2);
+        const sizeMean = sizes.length ? sizes.reduce((a,b)=>a+b,0) / sizes.length : 0;
+        const sizeStd = sizes.length ? Math.sqrt(sizes.reduce((a,b)=>a+Math.pow(b-sizeMean,2),0) / sizes.length) : 0;
+
+        // 0 means unsupported for Touch.force, 0.5 is the PointerEvent default
+        const forces = sized.map(p => p.force || 0);
+        const peak = forces.length ? Math.max(...forces) : 0;
+        const forceRange = peak > 0 ? (peak - Math.min(...forces)) / peak : 0;
+        const constantForce = forceRange < 1e-4;
+        const forceReported = forces.length >= 3 && !(constantForce && (peak === 0 || peak === 0.5));
+
+        let stationarySteps = 0, frozenSteps = 0, drift = 0;
+        for (let i = 1; i < pts.length; i++) {
+            const step = Math.hypot(pts[i].x - pts[i-1].x, pts[i].y - pts[i-1].y);
+            if (step >= VhumAnalyzer.STATIONARY_STEP) continue;
+            stationarySteps++;
+            drift += step;
+            if (step === 0 && pts[i].radiusX === pts[i-1].radiusX && pts[i].radiusY === pts[i-1].radiusY &&
+                pts[i].force === pts[i-1].force) frozenSteps++;
+        }
+
+        return {
+            sufficient: sizes.length >= 3,
+            samples: sizes.length,
+            sizeMean,
+            sizeCV: sizeMean > 0 ? sizeStd / sizeMean : 0,
+            forceReported,
+            constantForce: forceReported && constantForce,
+            forceRange,
+            rampUp: forceReported && forces[0] < peak * 0.9,
+            rampDown: forceReported && forces[forces.length - 1] < peak * 0.9,
+            stationarySteps,
+            stationaryDrift: stationarySteps ? drift / stationarySteps : 0,
+            frozen: stationarySteps ? frozenSteps / stationarySteps : 0,
+            extraContacts: contacts ? contacts.extra : 0,
+            palms: contacts ? contacts.palms : 0
+        };
+    }
+
+    static _fold(Accumulator, pts) {
+        const acc = new Accumulator();
+        pts.forEach(p => acc.push(p));
+        return acc;
+    }
+
+    // Per-analysis entry points over an explicit point list (already
+    // consolidated where it matters); analyze() reads them all from one stream
+    analyzeJitter(pts, inputType = InputTypeDetector.TYPES.MOUSE) {
+        return VhumAnalyzer._fold(KinematicAccumulator, pts).jitter(inputType);
+    }
+
+    analyzeSpeed(pts) {
+        return VhumAnalyzer._fold(KinematicAccumulator, pts).speed();
+    }
+
+    analyzeAcceleration(pts, inputType = InputTypeDetector.TYPES.MOUSE) {
+        return VhumAnalyzer._fold(KinematicAccumulator, pts).acceleration(inputType);
+    }
+
+    analyzeCurvature(pts) {
+        return VhumAnalyzer._fold(KinematicAccumulator, pts).curvature();
+    }
+
+    analyzeEntropy(pts) {
+        return VhumAnalyzer._fold(KinematicAccumulator, pts).entropy();
+    }
+
+    countPauses(pts) {
+        return VhumAnalyzer._fold(PauseAccumulator, pts).result();
+    }
+
+    checkTemporalPrecision(pts) {
+        return VhumAnalyzer._fold(TimingAccumulator, pts).result();
+    }
+}
+
+/**
+ * Automation-environment signals (isTrusted, navigator.webdriver, device
+ * inconsistencies). Checks run in the browser when a gesture ends; their 0..1
+ * values travel with the session and traces, so VhumAnalyzer adds them to
+ * `inputs` without a DOM.
+ */
+class VhumEnvironment {
+    static CHECKS = {};
+
+    static POINTER_TYPES = ['mouse', 'touch', 'pen'];
+
+    /**
+     * Registers a signal. `check(context)` returns 0..1 (booleans work), 1
+     * meaning automated; context is { session, events, navigator, window }.
+     */
+    static register(name, check, { weight = 1, reason = null } = {}) {
+        if (typeof check !== 'function') throw new Error('VhumEnvironment: check must be a function');
+        VhumEnvironment.CHECKS[name] = { check, weight };
+        if (reason) VhumAnalyzer.REASON_CODES[name] = reason;
+        return VhumEnvironment;
+    }
+
+    static unregister(name) {
+        delete VhumEnvironment.CHECKS[name];
+        return VhumEnvironment;
+    }
+
+    static weights() {
+        const weights = {};
+        Object.keys(VhumEnvironment.CHECKS).forEach(name => { weights[name] = VhumEnvironment.CHECKS[name].weight; });
+        return weights;
+    }
+
+    static weightFor(name) {
+        return VhumEnvironment.CHECKS[name] ? VhumEnvironment.CHECKS[name].weight : 0;
+    }
+
+    // Whether checks were registered, replaced or removed since the script loaded
+    static customized() {
+        const names = Object.keys(VhumEnvironment.CHECKS);
+        return names.length !== Object.keys(VhumEnvironment.BUILTIN).length ||
+            names.some(name => VhumEnvironment.CHECKS[name] !== VhumEnvironment.BUILTIN[name]);
+    }
+
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.events = { total: 0, untrusted: 0, mismatched: 0, touches: 0, zeroRadius: 0 };
+        return this;
+    }
+
+    // Called for every event dispatched during a gesture
+    observe(e, source) {
+        const events = this.events;
+        events.total++;
+        if (e.isTrusted === false) events.untrusted++;
+        if (e.pointerType && source && e.pointerType !== source && VhumEnvironment.POINTER_TYPES.includes(source)) {
+            events.mismatched++;
+        }
+        const touches = e.changedTouches || e.touches;
+        if (touches && touches.length) {
+            events.touches++;
+            if (Array.from(touches).every(t => !t.radiusX && !t.radiusY)) events.zeroRadius++;
+        }
+    }
+
+    collect(session) {
+        const context = {
+            session,
+            events: { ...this.events },
+            navigator: typeof navigator === 'undefined' ? null : navigator,
+            window: typeof window === 'undefined' ? null : window
+        };
+        const signals = {};
+        Object.keys(VhumEnvironment.CHECKS).forEach(name => {
+            let value;
+            try {
+                value = Number(VhumEnvironment.CHECKS[name].check(context));
+            } catch (e) {
+                // A broken custom check must not block verification
+                value = 0;
+            }
+            signals[name] = isFinite(value) ? Math.max(0, Math.min(1, value)) : 0;
+        });
+        return signals;
+    }
+}
+
+VhumEnvironment
+    .register('webdriver', ({ navigator }) => !!(navigator && navigator.webdriver), { weight: 4.0 })
+    .register('untrusted', ({ events }) => events.total ? events.untrusted / events.total : 0, { weight: 5.0 })
+    .register('touchSupport', ({ session, navigator, window }) =>
+        session.inputSource === 'touch' && !!navigator && !(navigator.maxTouchPoints > 0) &&
+        !(window && 'ontouchstart' in window), { weight: 3.0 })
+    .register('pointerMismatch', ({ events }) => events.mismatched > 0, { weight: 2.0 })
+    .register('zeroRadius', ({ session, events }) =>
+        session.inputSource === 'touch' && events.touches ? events.zeroRadius / events.touches : 0, { weight: 1.2 });
+
+// What a fresh copy of this script has, e.g. inside a Worker
+VhumEnvironment.BUILTIN = { ...VhumEnvironment.CHECKS };
+
+/**
+ * Opt-in per-user behavioral baseline. Keeps a rolling mean/variance of the
+ * analysisDetails of past human sessions, per modality, in storage scoped to
+ * the origin. Sessions carry a snapshot of the matching profile, so
+ * VhumAnalyzer scores the distance from it without touching storage.
+ */
+class VhumBaseline {
+    static VERSION = 1;
+    static SPAN = 50;
+    static MIN_SAMPLES = 5;
+    static TTL = 30 * 24 * 60 * 60 * 1000;
+    static WEIGHT = 3.0;
+    static Z_CAP = 6;
+    static ENROLL_MAX_ANOMALY = 0.5;
+    // Timings are heavy-tailed; their profile is kept on a log scale
+    static LOG_FEATURES = ['dwell', 'reaction', 'traversal'];
+    static _shared = {};
+
+    static defaultKey() {
+        return 'vhum:baseline:' + (typeof location !== 'undefined' ? location.origin : 'local');
+    }
+
+    // One instance per storage key, so several targets enroll into the same profile
+    static shared(options = {}) {
+        const key = options.key || VhumBaseline.defaultKey();
+        if (!VhumBaseline._shared[key]) VhumBaseline._shared[key] = new VhumBaseline({ ...options, key });
+        return VhumBaseline._shared[key];
+    }
+
+    // localStorage behind the store interface: get/set/remove, sync or async
+    static localStore() {
+        try {
+            const storage = typeof window !== 'undefined' ? window.localStorage : null;
+            if (!storage) return null;
+            return {
+                get: key => JSON.parse(storage.getItem(key) || 'null'),
+                set: (key, value) => storage.setItem(key, JSON.stringify(value)),
+                remove: key => storage.removeItem(key)
+            };
+        } catch (e) {
+            // Storage disabled (privacy mode, sandboxed iframe): profile lives in memory
+            return null;
+        }
+    }
+
+    constructor({ store, key, ttl = VhumBaseline.TTL, span = VhumBaseline.SPAN, minSamples = VhumBaseline.MIN_SAMPLES } = {}) {
+        this.store = store === undefined ? VhumBaseline.localStore() : store;
+        this.key = key || VhumBaseline.defaultKey();
+        this.ttl = ttl;
+        this.span = span;
+        this.minSamples = minSamples;
+        this.profiles = {};
+        this.ready = this.load();
+    }
+
+    load() {
+        return Promise.resolve()
+            .then(() => this.store ? this.store.get(this.key) : null)
+            .then(data => {
+                if (!data || data.version !== VhumBaseline.VERSION) return this;
+                const now = Date.now();
+                Object.keys(data.profiles || {}).forEach(type => {
+                    // Sessions enrolled before the store answered are newer
+                    if (!this.profiles[type] && !this._expired(data.profiles[type], now)) {
+                        this.profiles[type] = data.profiles[type];
+                    }
+                });
+                return this;
+            })
+            .catch(() => this);
+    }
+
+    save() {
+        return Promise.resolve()
+            .then(() => this.store && this.store.set(this.key, { version: VhumBaseline.VERSION, profiles: this.profiles }))
+            .catch(() => {})
+            .then(() => this);
+    }
+
+    /**
+     * Forgets the profile of one modality, or every profile when called
+     * without arguments.
+     */
+    clear(inputType) {
+        if (inputType) {
+            delete this.profiles[inputType];
+            return this.save();
+        }
+        this.profiles = {};
+        return Promise.resolve()
+            .then(() => this.store && this.store.remove(this.key))
+            .catch(() => {})
+            .then(() => this);
+    }
+
+    _expired(profile, now = Date.now()) {
+        return !profile || now - profile.updated > this.ttl;
+    }
+
+    // Numeric analysisDetails as the profile sees them
+    static vector(details) {
+        const vector = {};
+        Object.keys(details || {}).forEach(name => {
+            const value = Number(details[name]);
+            if (!isFinite(value)) return;
+            vector[name] = VhumBaseline.LOG_FEATURES.includes(name) ? Math.log1p(Math.max(0, value)) : value;
+        });
+        return vector;
+    }
+
+    /**
+     * Adds a human result to its modality's profile. Results that already
+     * look anomalous are left out, so a takeover can't drag the profile.
+     */
+    enroll(result) {
+        if (!result || result.verdict !== VhumAnalyzer.VERDICT.HUMAN || !result.analysisDetails) return false;
+        const score = result.features && result.features.baseline;
+        if (score && score.anomaly > VhumBaseline.ENROLL_MAX_ANOMALY) return false;
+
+        const now = Date.now();
+        let profile = this.profiles[result.inputType];
+        if (this._expired(profile, now)) {
+            profile = this.profiles[result.inputType] = { n: 0, created: now, updated: now, stats: {} };
+        }
+        const vector = VhumBaseline.vector(result.analysisDetails);
+        Object.keys(vector).forEach(name => {
+            const stat = profile.stats[name] || (profile.stats[name] = [0, 0, 0]);
+            // [mean, variance, count]; exponentially weighted past the span so
+            // the profile follows slow drift in the user's motor habits
+            stat[2]++;
+            const a = 1 / Math.min(stat[2], this.span);
+            const d = vector[name] - stat[0];
+            stat[0] += a * d;
+            stat[1] = (1 - a) * (stat[1] + a * d * d);
+        });
+        profile.n++;
+        profile.updated = now;
+        this.save();
+        return true;
+    }
+
+    // Enrolled statistics for a session, or null until enough samples exist
+    snapshot(inputType) {
+        const profile = this.profiles[inputType];
+        if (this._expired(profile) || profile.n < this.minSamples) return null;
+        const stats = {};
+        Object.keys(profile.stats).forEach(name => {
+            if (profile.stats[name][2] >= this.minSamples) stats[name] = profile.stats[name].slice();
+        });
+        return { n: profile.n, stats };
+    }
+
+    /**
+     * Mahalanobis-like distance (diagonal covariance): RMS of the per-feature
+     * z-scores, each capped at Z_CAP, mapped to a 0..1 anomaly. Needs at
+     * least three shared features.
+     */
+    static score(profile, details) {
+        const vector = VhumBaseline.vector(details);
+        const deviations = Object.keys(profile.stats).filter(name => name in vector).map(name => {
+            const [mean, variance] = profile.stats[name];
+            // A few near-identical sessions must not turn every small change into an outlier
+            const sd = Math.max(Math.sqrt(Math.max(0, variance)), 0.15 * Math.abs(mean), 1e-3);
+            return { feature: name, z: (vector[name] - mean) / sd };
+        });
+        if (deviations.length < 3) return null;
+
+        const cap = VhumBaseline.Z_CAP * VhumBaseline.Z_CAP;
+        const distance = Math.sqrt(deviations.reduce((sum, d) => sum + Math.min(cap, d.z * d.z), 0) / deviations.length);
+        deviations.sort((a, b) => Math.abs(b.z) - Math.abs(a.z));
+        return {
+            samples: profile.n,
+            distance,
+            anomaly: Math.max(0, Math.min(1, (distance - 1.5) / 2.5)),
+            deviations: deviations.slice(0, 3)
+        };
+    }
+}
+
+class VhumEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    on(event, callback) {
+        if (!this.listeners[event]) this.listeners[event] = [];
+        this.listeners[event].push(callback);
+        return this;
+    }
+
+    off(event, callback) {
+        if (!this.listeners[event]) return this;
+        this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        return this;
+    }
+
+    /**
+     * Listeners are isolated: a throwing handler doesn't stop the others.
+     * Its error goes to the 'error' listeners, or is reported globally when
+     * there are none (or when an 'error' listener itself throws). An 'error'
+     * emitted with no listeners is reported the same way.
+     */
+    emit(event, data) {
+        if (!this.listeners[event] || !this.listeners[event].length) {
+            if (event === 'error') VhumEmitter.report(data);
+            return;
+        }
+        this.listeners[event].slice().forEach(cb => {
+            try {
+                cb(data);
+            } catch (error) {
+                if (event !== 'error' && this.listeners.error && this.listeners.error.length) this.emit('error', error);
+                else VhumEmitter.report(error);
+            }
+        });
+    }
+
+    // Never rethrows: outside the browser an uncaught error would end the process
+    static report(error) {
+        if (typeof reportError === 'function') reportError(error);
+        else if (typeof process !== 'undefined' && typeof process.emitWarning === 'function') process.emitWarning(error);
+        else console.error(error);
+    }
+}
+
+/**
+ * Page-wide input tracker. Owns a single window listener per event type and
+ * fans events out to every registered Vhum target, so N protected widgets
+ * don't each receive every mousemove. Also combines the targets' results
+ * into a page-level score.
+ */
+class VhumTracker extends VhumEmitter {
+    static _shared = null;
+
+    static shared() {
+        if (!VhumTracker._shared) VhumTracker._shared = new VhumTracker();
+        return VhumTracker._shared;
+    }
+
+    constructor(target = typeof window !== 'undefined' ? window : null) {
+        super();
+        this.target = target;
+        this.handlers = {};
+        this._native = {};
+        this.results = new Map();
+    }
+
+    // EventTarget-shaped so Vhum can treat it like window
+    addEventListener(type, handler, options) {
+        if (!this.handlers[type]) this.handlers[type] = [];
+        this.handlers[type].push(handler);
+        if (!this._native[type] && this.target) {
+            const native = { fn: (e) => this._dispatch(type, e), options: { passive: false } };
+            this.target.addEventListener(type, native.fn, native.options);
+            this._native[type] = native;
+        }
+    }
+
+    removeEventListener(type, handler) {
+        if (!this.handlers[type]) return;
+        this.handlers[type] = this.handlers[type].filter(h => h !== handler);
+        if (!this.handlers[type].length && this._native[type]) {
+            this.target.removeEventListener(type, this._native[type].fn, this._native[type].options);
+            delete this._native[type];
+            delete this.handlers[type];
+        }
+    }
+
+    _dispatch(type, e) {
+        (this.handlers[type] || []).slice().forEach(h => h(e));
+    }
+
+    report(vhum, result) {
+        this.results.set(vhum, result);
+        this.emit('aggregate', this.aggregate());
+    }
+
+    forget(vhum) {
+        this.results.delete(vhum);
+    }
+
+    /**
+     * Sums each target's log-odds margin over its own threshold, treating
+     * targets as independent evidence. score > 0.5 means bot overall.
+     */
+    aggregate() {
+        if (!this.results.size) return null;
+        const logit = (p) => {
+            const q = Math.max(1e-6, Math.min(1 - 1e-6, p));
+            return Math.log(q / (1 - q));
+        };
+        let margin = 0, bots = 0;
+        const targets = [];
+        this.results.forEach((result, vhum) => {
+            margin += logit(result.probability) - logit(result.thresholdUsed);
+            if (result.verdict === 0) bots++;
+            targets.push({ name: vhum.name, probability: result.probability, verdict: result.verdict, inputType: result.inputType });
+        });
+        const score = 1 / (1 + Math.exp(-Math.max(-100, Math.min(100, margin))));
+        return {
+            score: Math.round(score * 10000) / 10000,
+            verdict: score > 0.5 ? 0 : 1,
+            margin,
+            bots,
+            targets
+        };
+    }
+}
+
+/**
+ * Opt-in, privacy-preserving telemetry. Keeps per-modality aggregates in
+ * memory (probability histogram, verdict counts, input firing rates, feature
+ * quantiles from a bounded reservoir, insufficient-data counts), compares
+ * them with a reference summary to detect drift and flushes them in batches
+ * through a transport. Raw traces are only added with `includeTraces: true`.
+ */
+class VhumTelemetry extends VhumEmitter {
+    static VERSION = 1;
+    static BINS = 20;
+    static RESERVOIR = 200;
+    static QUANTILES = [0.05, 0.25, 0.5, 0.75, 0.95];
+    // Rates and quantiles of fewer sessions would describe individuals
+    static MIN_AGGREGATE = 10;
+    static MIN_SAMPLES = 100;
+    static DRIFT = { psi: 0.25, rate: 0.15, shift: 1 };
+    static _shared = null;
+
+    static shared() {
+        if (!VhumTelemetry._shared) VhumTelemetry._shared = new VhumTelemetry();
+        return VhumTelemetry._shared;
+    }
+
+    constructor(options = {}) {
+        super();
+        this.options = {
+            transport: null,
+            endpoint: null,
+            sampleRate: 1,
+            batchSize: 50,
+            flushInterval: 60000,
+            reference: null,
+            includeTraces: false,
+            ...options
+        };
+        this.reference = this.options.reference;
+        this._timer = null;
+        this._onHide = null;
+        this.reset();
+        if (this.options.transport) this._schedule();
+    }
+
+    reset() {
+        this.types = {};
+        this.traces = [];
+        this.pending = 0;
+        this.since = Date.now();
+        return this;
+    }
+
+    // Periodic flush, plus one when the page is hidden (the last chance on mobile)
+    _schedule() {
+        if (this.options.flushInterval > 0 && typeof setInterval === 'function') {
+            this._timer = setInterval(() => this.flush(), this.options.flushInterval);
+            if (this._timer && this._timer.unref) this._timer.unref();
+        }
+        if (typeof document !== 'undefined' && document.addEventListener) {
+            this._onHide = () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            };
+            document.addEventListener('visibilitychange', this._onHide);
+        }
+    }
+
+    destroy() {
+        if (this._timer) clearInterval(this._timer);
+        if (this._onHide) document.removeEventListener('visibilitychange', this._onHide);
+        this._timer = null;
+        this._onHide = null;
+        if (VhumTelemetry._shared === this) VhumTelemetry._shared = null;
+    }
+
+    _bucket(type) {
+        if (!this.types[type]) {
+            this.types[type] = {
+                count: 0,
+                verdicts: { bot: 0, human: 0, uncertain: 0 },
+                histogram: new Array(VhumTelemetry.BINS).fill(0),
+                insufficient: { evidence: 0, tremor: 0, minimumJerk: 0, approach: 0 },
+                inputs: {},
+                features: {}
+            };
+        }
+        return this.types[type];
+    }
+
+    record(result, session = null) {
+        if (!result || Math.random() >= this.options.sampleRate) return false;
+        const bucket = this._bucket(result.challenge ? 'challenge' : result.inputType);
+        bucket.count++;
+        bucket.verdicts[VhumAnalyzer.outcome(result.verdict)]++;
+        bucket.histogram[Math.max(0, Math.min(VhumTelemetry.BINS - 1, Math.floor(result.probability * VhumTelemetry.BINS)))]++;
+
+        const features = result.features || {};
+        if (result.evidence && result.evidence.coverage < 1) bucket.insufficient.evidence++;
+        ['tremor', 'minimumJerk', 'approach'].forEach(name => {
+            if (features[name] && !features[name].sufficient) bucket.insufficient[name]++;
+        });
+
+        Object.keys(result.inputs || {}).forEach(name => {
+            const value = Number(result.inputs[name]);
+            if (!isFinite(value)) return;
+            const rate = bucket.inputs[name] || (bucket.inputs[name] = [0, 0]);
+            rate[0] += value;
+            rate[1]++;
+        });
+        Object.keys(result.analysisDetails || {}).forEach(name => {
+            const value = Number(result.analysisDetails[name]);
+            if (!isFinite(value)) return;
+            const reservoir = bucket.features[name] || (bucket.features[name] = { seen: 0, sample: [] });
+            reservoir.seen++;
+            if (reservoir.sample.length < VhumTelemetry.RESERVOIR) {
+                reservoir.sample.push(value);
+            } else {
+                const j = Math.floor(Math.random() * reservoir.seen);
+                if (j < VhumTelemetry.RESERVOIR) reservoir.sample[j] = value;
+            }
+        });
+
+        if (this.options.includeTraces && session) this.traces.push(Vhum.serializeTrace(session, result));
+        if (++this.pending >= this.options.batchSize && this.options.transport) this.flush();
+        return true;
+    }
+
+    /**
+     * The aggregates as they leave the device; also the shape expected as
+     * `reference` by drift().
+     */
+    summary() {
+        const types = {};
+        Object.keys(this.types).forEach(type => {
+            const bucket = this.types[type];
+            const enough = bucket.count >= VhumTelemetry.MIN_AGGREGATE;
+            const inputs = {}, features = {};
+            if (enough) {
+                Object.keys(bucket.inputs).forEach(name => {
+                    inputs[name] = bucket.inputs[name][0] / bucket.inputs[name][1];
+                });
+                Object.keys(bucket.features).forEach(name => {
+                    features[name] = VhumTelemetry.quantiles(bucket.features[name].sample);
+                });
+            }
+            types[type] = {
+                count: bucket.count,
+                verdicts: { ...bucket.verdicts },
+                histogram: bucket.histogram.slice(),
+                insufficient: { ...bucket.insufficient },
+                inputs,
+                features
+            };
+        });
+        return { v: VhumTelemetry.VERSION, from: this.since, to: Date.now(), types };
+    }
+
+    static quantiles(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const last = sorted.length - 1;
+        return VhumTelemetry.QUANTILES.map(q => {
+            if (last < 0) return 0;
+            const pos = q * last;
+            const i = Math.floor(pos);
+            return sorted[i] + (sorted[Math.min(i + 1, last)] - sorted[i]) * (pos - i);
+        });
+    }
+
+    // Population stability index between two histograms of the same bins;
+    // half a count per bin keeps empty bins from dominating small windows
+    static psi(actual, expected) {
+        const a = actual.reduce((x, y) => x + y, 0);
+        const e = expected.reduce((x, y) => x + y, 0);
+        if (!a || !e) return 0;
+        const prior = actual.length / 2;
+        return actual.reduce((sum, count, i) => {
+            const p = (count + 0.5) / (a + prior);
+            const q = ((expected[i] || 0) + 0.5) / (e + prior);
+            return sum + (p - q) * Math.log(p / q);
+        }, 0);
+    }
+
+    /**
+     * Compares a summary with the reference, per modality with at least
+     * MIN_SAMPLES sessions: probability PSI, input firing rates that moved
+     * by more than DRIFT.rate, and feature medians that moved by more than
+     * DRIFT.shift reference IQRs.
+     */
+    drift(reference = this.reference, summary = this.summary()) {
+        if (!reference || !reference.types) return null;
+        const D = VhumTelemetry.DRIFT;
+        const report = {};
+        Object.keys(summary.types).forEach(type => {
+            const current = summary.types[type];
+            const base = reference.types[type];
+            if (!base || current.count < VhumTelemetry.MIN_SAMPLES) return;
+
+            const psi = VhumTelemetry.psi(current.histogram, base.histogram);
+            const inputs = Object.keys(current.inputs).filter(name => name in (base.inputs || {}))
+                .map(name => ({ feature: name, rate: current.inputs[name], reference: base.inputs[name], delta: current.inputs[name] - base.inputs[name] }))
+                .filter(d => Math.abs(d.delta) > D.rate);
+            const features = Object.keys(current.features).filter(name => (base.features || {})[name])
+                .map(name => {
+                    const [, q1, median, q3] = base.features[name];
+                    const spread = Math.max(q3 - q1, Math.abs(median) * 0.05, 1e-9);
+                    return { feature: name, median: current.features[name][2], reference: median, shift: (current.features[name][2] - median) / spread };
+                })
+                .filter(d => Math.abs(d.shift) > D.shift);
+
+            report[type] = { samples: current.count, psi, drifted: psi > D.psi || inputs.length > 0 || features.length > 0, inputs, features };
+        });
+        return report;
+    }
+
+    /**
+     * Sends the current aggregates (with the drift report and, only when
+     * enabled, raw traces) and starts a new window. Emits 'flush', 'drift'
+     * when any modality drifted, and 'error' when the transport fails.
+     */
+    flush() {
+        const summary = this.summary();
+        if (!Object.keys(summary.types).length) return Promise.resolve(null);
+        const batch = { ...summary, drift: this.drift(this.reference, summary) };
+        if (this.options.includeTraces) batch.traces = this.traces.slice();
+        this.reset();
+
+        if (batch.drift && Object.keys(batch.drift).some(type => batch.drift[type].drifted)) this.emit('drift', batch.drift);
+        return Promise.resolve()
+            .then(() => this._send(batch))
+            .then(() => {
+                this.emit('flush', batch);
+                return batch;
+            })
+            .catch(error => {
+                this.emit('error', error);
+                return null;
+            });
+    }
+
+    // transport: function(batch) (may return a Promise) or 'beacon' with a self-hosted endpoint
+    _send(batch) {
+        const { transport, endpoint } = this.options;
+        if (typeof transport === 'function') return transport(batch);
+        if (transport !== 'beacon' || !endpoint) return null;
+        const body = JSON.stringify(batch);
+        if (typeof navigator !== 'undefined' && navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) return null;
+        if (typeof fetch === 'function') return fetch(endpoint, { method: 'POST', body, keepalive: true });
+        throw new Error('VhumTelemetry: no way to reach ' + endpoint);
+    }
+}
+
+/**
+ * Step-up challenges shown when a verdict is uncertain. Each one renders a
+ * small task, records the gesture like Vhum does and resolves with a session
+ * whose `challenge` spec lets VhumAnalyzer score it headlessly.
+ */
+class VhumChallenge {
+    static APPROACH_LIMIT = 64;
+
+    static create(type, vhum, params) {
+        const Challenge = VhumChallenge.TYPES[type];
+        if (!Challenge) throw new Error('Vhum: unknown challenge type ' + type);
+        return new Challenge(vhum, params || Challenge.params());
+    }
+
+    /**
+     * Random parameters for every challenge type. VhumVerifier issues them
+     * with the nonce so they are signed into the token, and only a challenge
+     * matching them is scored on the server.
+     */
+    static params(random = Math.random) {
+        const params = {};
+        Object.keys(VhumChallenge.TYPES).forEach(type => { params[type] = VhumChallenge.TYPES[type].params(random); });
+        return params;
+    }
+
+    // Whether a submitted spec is well formed and was laid out from `params`
+    static matches(spec, params) {
+        const Challenge = spec && VhumChallenge.TYPES[spec.type];
+        if (!Challenge || !params || !Challenge.valid(spec)) return false;
+        const expected = Challenge.layout(params, Challenge.origin(spec, params));
+        return VhumChallenge._same(expected, spec);
+    }
+
+    static _same(a, b) {
+        if (typeof a === 'number') return typeof b === 'number' && Math.abs(a - b) <= 1e-6;
+        if (Array.isArray(a)) return Array.isArray(b) && a.length === b.length && a.every((v, i) => VhumChallenge._same(v, b[i]));
+        if (a && typeof a === 'object') {
+            return !!b && typeof b === 'object' && Object.keys(a).length === Object.keys(b).length &&
+                Object.keys(a).every(key => VhumChallenge._same(a[key], b[key]));
+        }
+        return a === b;
+    }
+
+    constructor(vhum, params) {
+        this.vhum = vhum;
+        this.params = params;
+        this.points = [];
+        this.approach = [];
+        this.root = null;
+        this.t_down = 0;
+        this.inputSource = null;
+        this.environment = new VhumEnvironment();
+        this._listeners = [];
+    }
+
+    mount(container) {
+        this.root = document.createElement('div');
+        this.root.className = 'vhum-challenge vhum-challenge-' + this.type;
+        this.root.style.cssText = 'margin:12px 0;user-select:none;touch-action:none;';
+        const label = document.createElement('p');
+        label.textContent = this.vhum._message('challenge_' + this.type);
+        label.style.cssText = 'margin:0 0 8px;font-size:0.9em;';
+        this.root.appendChild(label);
+        container.appendChild(this.root);
+        this.render();
+        // Hovering toward the widget before the press (mouse and pen only)
+        this._listen(this.root, 'pointermove', (e) => {
+            if (this.t_down || e.pointerType === 'touch' || this.approach.length >= VhumChallenge.APPROACH_LIMIT) return;
+            this.approach.push({ x: e.clientX, y: e.clientY, t: Vhum._eventTime(e) });
+        });
+        this.t_entry = performance.now();
+        return new Promise(resolve => { this._resolve = resolve; });
+    }
+
+    unmount() {
+        this._listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        this._listeners = [];
+        if (this.root) this.root.remove();
+        this.root = null;
+    }
+
+    _listen(target, type, handler) {
+        const wrapped = (e) => {
+            this.environment.observe(e, this.inputSource || e.pointerType);
+            handler(e);
+        };
+        target.addEventListener(type, wrapped);
+        this._listeners.push([target, type, wrapped]);
+    }
+
+    _el(css, parent = this.root) {
+        const el = document.createElement('div');
+        el.style.cssText = css;
+        parent.appendChild(el);
+        return el;
+    }
+
+    // Shared pointer capture: press on `el`, record moves, release completes
+    _track(el, onMove) {
+        this._listen(el, 'pointerdown', (e) => {
+            e.preventDefault();
+            if (el.setPointerCapture) el.setPointerCapture(e.pointerId);
+            this.inputSource = e.pointerType;
+            this.t_down = Vhum._eventTime(e);
+            this.points = [{ x: e.clientX, y: e.clientY, t: this.t_down }];
+        });
+        this._listen(el, 'pointermove', (e) => {
+            if (!this.t_down) return;
+            const samples = typeof e.getCoalescedEvents === 'function' ? e.getCoalescedEvents() : [];
+            (samples.length > 1 ? samples : [e]).forEach(sample => {
+                this.points.push({ x: sample.clientX, y: sample.clientY, t: Vhum._eventTime(sample) });
+            });
+            if (onMove) onMove(e);
+        });
+        this._listen(el, 'pointerup', (e) => {
+            if (!this.t_down) return;
+            this._complete(Vhum._eventTime(e));
+        });
+    }
+
+    _complete(t_up) {
+        const rect = this.root.getBoundingClientRect();
+        const first = this.points[0] || { x: 0, y: 0 };
+        const session = {
+            points: this.points,
+            inputSource: this.inputSource,
+            entry: { x: first.x, y: first.y },
+            t_entry: this.t_entry,
+            t_down: this.t_down,
+            t_up,
+            target: { left: rect.left, top: rect.top, width: rect.width, height: rect.height },
+            approach: this.approach.slice(),
+            challenge: this.spec()
+        };
+        if (this.vhum.options.environment) session.environment = this.environment.collect(session);
+        this.t_down = 0;
+        this.unmount();
+        this._resolve(session);
+    }
+}
+
+class VhumSliderChallenge extends VhumChallenge {
+    get type() { return 'slider'; }
+
+    static params(random = Math.random) {
+        return { slot: 120 + Math.round(random() * 80) };
+    }
+
+    static layout(params, track) {
+        return {
+            type: 'slider',
+            trackLeft: track.left + 2,
+            trackWidth: track.width - 4,
+            handleWidth: 36,
+            startCenter: track.left + 2 + 18,
+            slotCenter: track.left + params.slot,
+            slotWidth: 32
+        };
+    }
+
+    static origin(spec) {
+        return { left: spec.trackLeft - 2, width: spec.trackWidth + 4 };
+    }
+
+    static valid(spec) {
+        const fields = ['trackLeft', 'trackWidth', 'handleWidth', 'startCenter', 'slotCenter', 'slotWidth'];
+        if (!fields.every(key => Number.isFinite(spec[key]))) return false;
+        const right = spec.trackLeft + spec.trackWidth;
+        return spec.trackWidth > 0 && spec.handleWidth > 0 && spec.slotWidth > 0 &&
+            spec.startCenter >= spec.trackLeft && spec.startCenter <= right &&
+            spec.slotCenter >= spec.trackLeft && spec.slotCenter <= right;
+    }
+
+    render() {
+        this.track = this._el('position:relative;width:240px;height:40px;border-radius:20px;background:#e9ecef;');
+        this.slotX = this.params.slot;
+        this.slot = this._el('position:absolute;top:4px;width:32px;height:32px;border-radius:50%;' +
+            'border:2px dashed #6c757d;box-sizing:border-box;left:' + (this.slotX - 16) + 'px;', this.track);
+        this.handle = this._el('position:absolute;top:2px;left:2px;width:36px;height:36px;border-radius:50%;' +
+            'background:#0d6efd;cursor:grab;', this.track);
+        this.handleStart = 2;
+        this._track(this.handle, () => {
+            const dx = this.points[this.points.length - 1].x - this.points[0].x;
+            this.handle.style.left = Math.max(2, Math.min(202, this.handleStart + dx)) + 'px';
+        });
+    }
+
+    spec() {
+        return VhumSliderChallenge.layout(this.params, this.track.getBoundingClientRect());
+    }
+}
+
+class VhumTraceChallenge extends VhumChallenge {
+    static MAX_POINTS = 64;
+
+    get type() { return 'trace'; }
+
+    static params(random = Math.random) {
+        return { phase: random() * Math.PI };
+    }
+
+    // The polyline in the widget's own coordinates
+    static path(phase) {
+        const path = [];
+        for (let x = 10; x <= 230; x += 10) path.push([x, 40 + 25 * Math.sin(phase + (x - 10) / 220 * 2 * Math.PI)]);
+        return path;
+    }
+
+    static layout(params, box) {
+        return { type: 'trace', path: VhumTraceChallenge.path(params.phase).map(([x, y]) => [box.left + x, box.top + y]) };
+    }
+
+    static origin(spec, params) {
+        const [x, y] = VhumTraceChallenge.path(params.phase)[0];
+        return { left: spec.path[0][0] - x, top: spec.path[0][1] - y };
+    }
+
+    static valid(spec) {
+        return Array.isArray(spec.path) && spec.path.length >= 2 && spec.path.length <= VhumTraceChallenge.MAX_POINTS &&
+            spec.path.every(p => Array.isArray(p) && p.length === 2 && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+    }
+
+    render() {
+        const ns = 'http://www.w3.org/2000/svg';
+        this.svg = document.createElementNS(ns, 'svg');
+        this.svg.setAttribute('width', '240');
+        this.svg.setAttribute('height', '80');
+        this.svg.style.cssText = 'display:block;background:#f8f9fa;border-radius:8px;cursor:crosshair;';
+        this.local = VhumTraceChallenge.path(this.params.phase);
+        const line = document.createElementNS(ns, 'polyline');
+        line.setAttribute('points', this.local.map(p => p.join(',')).join(' '));
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', '#0d6efd');
+        line.setAttribute('stroke-width', '6');
+        line.setAttribute('stroke-linecap', 'round');
+        line.setAttribute('opacity', '0.4');
+        this.svg.appendChild(line);
+        this.root.appendChild(this.svg);
+        this._track(this.svg);
+    }
+
+    spec() {
+        return VhumTraceChallenge.layout(this.params, this.svg.getBoundingClientRect());
+    }
+}
+
+class VhumHoldChallenge extends VhumChallenge {
+    static DURATION = 1000;
+
+    // Accepted spec durations (ms)
+    static RANGE = [300, 5000];
+
+    get type() { return 'hold'; }
+
+    static params() {
+        return { duration: VhumHoldChallenge.DURATION };
+    }
+
+    static layout(params) {
+        return { type: 'hold', duration: params.duration };
+    }
+
+    static origin() {
+        return null;
+    }
+
+    static valid(spec) {
+        const [min, max] = VhumHoldChallenge.RANGE;
+        return Number.isFinite(spec.duration) && spec.duration >= min && spec.duration <= max;
+    }
+
+    render() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = this.vhum._message('hold_button');
+        button.style.cssText = 'position:relative;overflow:hidden;padding:10px 24px;border:0;border-radius:6px;' +
+            'background:#0d6efd;color:#fff;cursor:pointer;touch-action:none;';
+        const bar = this._el('position:absolute;left:0;bottom:0;height:4px;width:0;background:#fff;', button);
+        this.root.appendChild(button);
+        this.button = button;
+
+        const start = () => {
+            bar.style.transition = 'width ' + this.params.duration + 'ms linear';
+            bar.style.width = '100%';
+        };
+        this._track(button);
+        this._listen(button, 'pointerdown', start);
+        this._listen(button, 'keydown', (e) => {
+            if (e.key !== ' ' || e.repeat || this.t_down) return;
+            e.preventDefault();
+            this.inputSource = 'keyboard';
+            this.t_down = Vhum._eventTime(e);
+            this.points = [];
+            start();
+        });
+        this._listen(button, 'keyup', (e) => {
+            if (e.key === ' ' && this.t_down) this._complete(Vhum._eventTime(e));
+        });
+    }
+
+    spec() {
+        return VhumHoldChallenge.layout(this.params);
+    }
+}
+
+VhumChallenge.TYPES = {
+    slider: VhumSliderChallenge,
+    trace: VhumTraceChallenge,
+    hold: VhumHoldChallenge
+};
+
+class Vhum extends VhumEmitter {
+    static TRACE_VERSION = 2;
+
+    static VERDICT = VhumAnalyzer.VERDICT;
+
+    static MESSAGES = {
+        human: 'Verification complete.',
+        bot: 'Verification failed. Please try again.',
+        uncertain: 'We need one more step to verify you.',
+        challenge_slider: 'Drag the circle into the dashed slot.',
+        challenge_trace: 'Trace the curve from left to right.',
+        challenge_hold: 'Press and hold the button for about one second, then release.',
+        hold_button: 'Hold'
+    };
+    static TOKEN_VERSION = 1;
+    // Contacts wider than this (CSS px) are taken for a palm or a resting hand
+    static PALM_RADIUS = 48;
+
+    constructor(options = {}) {
+        super();
+
+        // Options
+        this.options = {
+            thresholdMouse: options.thresholdMouse !== undefined ? options.thresholdMouse : 0.68,
+            thresholdTouch: options.thresholdTouch !== undefined ? options.thresholdTouch : 0.62,
+            thresholdPen: options.thresholdPen !== undefined ? options.thresholdPen : 0.65,
+            thresholdKeyboard: options.thresholdKeyboard !== undefined ? options.thresholdKeyboard : 0.6,
+            announce: true,
+            approach: 'container',
+            approachWindow: 2000,
+            approachLimit: 256,
+            environment: true,
+            bufferSize: VhumStream.CAPACITY,
+            worker: false,
+            baseline: false,
+            telemetry: false,
+            debug: false,
+            stepUp: ['slider', 'trace', 'hold'],
+            container: options.container || '#vhum-area',
+            checkbox: options.checkbox || '#main-check',
+            ...options
+        };
+
+        // State
+        this._resetStream();
+        this.isTracking = false;
+        this.enabled = true;
+        this.destroyed = false;
+        this.t_entry = 0;
+        this.t_down = 0;
+        this.t_up = 0;
+        this.entry_pos = { x: 0, y: 0 };
+        this.keys = [];
+        this.focusTrail = [];
+        this.approach = [];
+        this.pressApproach = [];
+        this._inside = false;
+        this._touchId = null;
+        this.contacts = { extra: 0, palms: 0 };
+        
+        this.lastInputSource = null;
+        this.inputType = InputTypeDetector.TYPES.UNKNOWN;
+        this.analyzer = new VhumAnalyzer(this.options);
+        this.environment = new VhumEnvironment();
+        this.baseline = Vhum._baselineFor(this.options.baseline);
+        this.telemetry = Vhum._telemetryFor(this.options.telemetry);
+        this.nnMouse = this.analyzer.nnMouse;
+        this.nnTouch = this.analyzer.nnTouch;
+        this.nnPen = this.analyzer.nnPen;
+        this.nnKeyboard = this.analyzer.nnKeyboard;
+        this.nn = this.nnMouse;
+        this.scorer = this.analyzer.scorerFor(this.inputType);
+        
+        // Event listeners
+        this._domListeners = [];
+        this.traces = [];
+        this.lastResult = null;
+        this.protection = null;
+        this._lastGestureEnd = 0;
+        this._pointerPress = false;
+        this._lastKeyWasTab = false;
+        this._announcer = null;
+        this.debug = null;
+        this.activeChallenge = null;
+        this._challengeCount = 0;
+        this._waiters = new Set();
+
+        if (!this._resolveElements()) return;
+
+        this.name = this.options.name || (typeof this.options.container === 'string' ? this.options.container : 'vhum');
+        this.tracker = this.options.tracker || VhumTracker.shared();
+        this.init();
+    }
+
+    _resolveElements() {
+        if (typeof document === 'undefined') {
+            console.error('Vhum: no DOM available. Use Vhum.analyze() or VhumAnalyzer for headless scoring.');
+            return false;
+        }
+
+        this.area = typeof this.options.container === 'string' 
+            ? document.querySelector(this.options.container) 
+            : this.options.container;
+        
+        this.check = typeof this.options.checkbox === 'string' 
+            ? document.querySelector(this.options.checkbox) 
+            : this.options.checkbox;
+
+        if (!this.area || !this.check) {
+            console.error('Vhum: Required elements not found. Check selectors:', 
+                this.options.container, this.options.checkbox);
+            return false;
+        }
+        return true;
+    }
+
+    init() {
+        if (this._domListeners.length) this._detach();
+
+        this._listen(this.area, 'mouseenter', (e) => {
+            this.lastInputSource = 'mouse';
+            this._inside = true;
+            this.handleEntry(e);
+        }, { passive: true });
+
+        this._listen(this.area, 'mouseleave', () => {
+            this._inside = false;
+        }, { passive: true });
+
+        // Presses inside a step-up widget (mounted in the area by default)
+        // bubble here; the challenge scores them, not the checkbox pipeline
+        this._listen(this.area, 'touchstart', (e) => {
+            if (this.activeChallenge) return;
+            const touch = this._primaryTouch(e);
+            if (!touch) return;
+            const t = Vhum._eventTime(e);
+            this.lastInputSource = 'touch';
+            this.handleEntry(touch, t);
+            this.handleStart(touch, t);
+        }, { passive: false });
+
+        this._listen(this.area, 'pointerdown', (e) => {
+            if (this.activeChallenge) return;
+            if (e.pointerType === 'touch') {
+                if (!this.lastInputSource) this.lastInputSource = 'touch';
+            } else if (e.pointerType === 'mouse') {
+                if (!this.lastInputSource) this.lastInputSource = 'mouse';
+                this._pointerPress = true;
+                this.handleStart(e);
+            } else if (e.pointerType === 'pen') {
+                // Pens also fire compat mouseenter, so the pointer type wins here
+                this.lastInputSource = 'pen';
+                this._pointerPress = true;
+                this.handleStart(e);
+            }
+        }, { passive: false });
+
+        // Compatibility mousedown for a press pointerdown already started
+        this._listen(this.area, 'mousedown', (e) => {
+            if (this.activeChallenge || this._pointerPress || this.lastInputSource === 'pen') return;
+            if (!this.lastInputSource) this.lastInputSource = 'mouse';
+            this.handleStart(e);
+        }, { passive: false });
+
+        this._listen(this.tracker, 'mousemove', (e) => {
+            if (this.isTracking && this.lastInputSource === 'mouse') {
+                this.handleMove(e, 'mouse');
+            } else if (!this.isTracking) {
+                this.handleHover(e, 'mouse');
+            }
+        }, { passive: false });
+
+        this._listen(this.tracker, 'touchmove', (e) => {
+            if (this.isTracking && this.lastInputSource === 'touch') {
+                e.preventDefault();
+                // Other fingers moving don't belong to the gesture
+                const touch = Vhum._findTouch(e.changedTouches, this._touchId);
+                if (touch) this.handleMove(touch, 'touch', Vhum._eventTime(e));
+            }
+        }, { passive: false });
+
+        this._listen(this.tracker, 'pointermove', (e) => {
+            if (this.isTracking && e.pointerType === this.lastInputSource && e.isPrimary !== false) {
+                this.handlePointerMove(e);
+            } else if (!this.isTracking && e.pointerType !== 'touch') {
+                this.handleHover(e, 'pointer');
+            }
+        }, { passive: false });
+
+        this._listen(this.tracker, 'pointercancel', (e) => {
+            // Touch panning cancels the pointer stream; let touchmove take over
+            if (this.isTracking && this._moveSource === 'pointer') this._moveSource = null;
+        }, { passive: true });
+
+        this._listen(this.tracker, 'mouseup', (e) => {
+            if (this.isTracking && this.lastInputSource === 'mouse') {
+                this.handleEnd(e);
+            }
+        }, { passive: true });
+
+        this._listen(this.tracker, 'touchend', (e) => {
+            if (this.isTracking && this.lastInputSource === 'touch' && Vhum._findTouch(e.changedTouches, this._touchId)) {
+                this.handleEnd(e);
+            }
+        }, { passive: false });
+
+        this._listen(this.tracker, 'pointerup', (e) => {
+            if (this.isTracking && e.isPrimary !== false) {
+                this.handleEnd(e);
+            }
+        }, { passive: true });
+
+        this._listen(this.tracker, 'touchcancel', (e) => {
+            if (this.isTracking && (this.lastInputSource !== 'touch' || Vhum._findTouch(e.changedTouches, this._touchId))) {
+                this.handleEnd(e);
+            }
+        }, { passive: true });
+
+        this._listen(this.tracker, 'focusin', (e) => this.handleFocus(e));
+        this._listen(this.tracker, 'keydown', (e) => this.handleKeyDown(e));
+        this._listen(this.tracker, 'keyup', (e) => this.handleKeyUp(e));
+
+        if (this.options.announce) this._initAnnouncer();
+        if (this.options.protect) this._initProtection();
+        if (this.options.worker) this._initWorker();
+        if (this.options.debug) this._initDebug();
+    }
+
+    // `debug: true` or VhumDebug options ({ metric, maxSpeed, maxAccel })
+    _initDebug() {
+        const options = typeof this.options.debug === 'object' ? this.options.debug : {};
+        this.debug = new VhumDebug({ ...options, vhum: this, container: this.area });
+    }
+
+    _teardownDebug() {
+        if (this.debug) this.debug.destroy();
+        this.debug = null;
+    }
+
+    _initAnnouncer() {
+        const region = document.createElement('div');
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        // Visually hidden, still read by screen readers
+        region.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+            'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;';
+        this.area.appendChild(region);
+        this._announcer = region;
+    }
+
+    announce(message) {
+        if (this._announcer) this._announcer.textContent = message;
+    }
+
+    _announceResult(result) {
+        this.announce(this._message(VhumAnalyzer.outcome(result.verdict)));
+    }
+
+    _initProtection() {
+        const protect = this.options.protect;
+        const config = {
+            field: 'vhum',
+            maxAttempts: 3,
+            gestureWindow: 800,
+            ...(typeof protect === 'string' || protect.nodeType ? { form: protect } : protect)
+        };
+        const form = typeof config.form === 'string' ? document.querySelector(config.form) : config.form;
+        if (!form) {
+            console.error('Vhum: protect form not found:', config.form);
+            return;
+        }
+
+        let field = form.querySelector('input[name="' + config.field + '"]');
+        const created = !field;
+        if (created) {
+            field = document.createElement('input');
+            field.type = 'hidden';
+            field.name = config.field;
+            form.appendChild(field);
+        }
+        field.value = '';
+        this.protection = { form, field, config, created, attempts: 0 };
+
+        // Toggles with no tracked gesture behind them (script click(), keyboard, AT)
+        this._listen(this.check, 'click', (e) => {
+            const sinceGesture = performance.now() - this._lastGestureEnd;
+            const tracked = this._lastGestureEnd > 0 && sinceGesture <= config.gestureWindow;
+            this._lastGestureEnd = 0;
+            if (!tracked) {
+                e.preventDefault();
+                this.lastResult = null;
+                this._clearVerification();
+                this.emit('untracked', { event: e });
+                return;
+            }
+            if (this._workerJobs && this._workerJobs.size) {
+                // The worker's verdict for this gesture hasn't arrived: keep the
+                // toggle and let _applyProtection settle it
+                this.lastResult = null;
+                this.protection.field.value = '';
+                return;
+            }
+            if (!this.lastResult || this.lastResult.verdict !== 1) e.preventDefault();
+        });
+
+        this._listen(form, 'submit', (e) => {
+            if (this.isVerified()) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            if (config.onBlocked) config.onBlocked(this.lastResult);
+            this.emit('blocked', { result: this.lastResult });
+        }, { capture: true });
+    }
+
+    _applyProtection(result) {
+        if (!this.protection) return;
+        const { field, config } = this.protection;
+
+        if (result.verdict === 1) {
+            field.value = result.token || (this.options.challenge ? '' : JSON.stringify({
+                probability: result.probability,
+                verdict: result.verdict,
+                inputType: result.inputType
+            }));
+            this.protection.attempts = 0;
+            return;
+        }
+
+        this._clearVerification();
+        // Uncertain isn't a failure: the step-up challenge decides
+        if (result.verdict === VhumAnalyzer.VERDICT.UNCERTAIN) return;
+        const attempts = ++this.protection.attempts;
+        if (attempts >= config.maxAttempts) {
+            if (config.onEscalate) config.onEscalate(result, attempts);
+            this.emit('escalate', { result, attempts });
+        } else if (config.onRetry) {
+            config.onRetry(result, attempts);
+        }
+    }
+
+    _clearVerification() {
+        if (this.check) this.check.checked = false;
+        if (this.protection) this.protection.field.value = '';
+    }
+
+    isVerified() {
+        const result = this.lastResult;
+        if (!result || result.verdict !== 1 || !this.check || !this.check.checked) return false;
+        return !this.options.challenge || !!result.token;
+    }
+
+    _teardownProtection() {
+        if (!this.protection) return;
+        if (this.protection.created) this.protection.field.remove();
+        this.protection = null;
+    }
+
+    _listen(target, type, handler, options) {
+        const wrapped = (e) => {
+            if (!this.enabled) return;
+            const tracking = this.isTracking;
+            // End events are observed before the handler finalizes the gesture,
+            // start events once it has begun
+            if (tracking) this.environment.observe(e, this.lastInputSource);
+            handler(e);
+            if (!tracking && this.isTracking) this.environment.observe(e, this.lastInputSource);
+        };
+        target.addEventListener(type, wrapped, options);
+        this._domListeners.push({ target, type, wrapped, options });
+    }
+
+    _detach() {
+        this._teardownProtection();
+        this._teardownWorker();
+        this._teardownDebug();
+        if (this.activeChallenge) {
+            this.activeChallenge.unmount();
+            this.activeChallenge = null;
+        }
+        if (this._announcer) {
+            this._announcer.remove();
+            this._announcer = null;
+        }
+        this._domListeners.forEach(({ target, type, wrapped, options }) => {
+            target.removeEventListener(type, wrapped, options);
+        });
+        this._domListeners = [];
+    }
+
+    reset() {
+        this._resetStream();
+        this._calibration = null;
+        this.isTracking = false;
+        this._pointerPress = false;
+        this.t_entry = 0;
+        this.t_down = 0;
+        this.t_up = 0;
+        this.entry_pos = { x: 0, y: 0 };
+        this.keys = [];
+        this.focusTrail = [];
+        this.approach = [];
+        this.pressApproach = [];
+        this.lastInputSource = null;
+        this.inputType = InputTypeDetector.TYPES.UNKNOWN;
+        this.nn = this.nnMouse;
+        this.scorer = this.analyzer.scorerFor(this.inputType);
+        this.lastResult = null;
+        this._lastGestureEnd = 0;
+        if (this.environment) this.environment.reset();
+        if (this.protection) this.protection.field.value = '';
+        return this;
+    }
+
+    enable() {
+        if (this.destroyed) return this;
+        this.enabled = true;
+        return this;
+    }
+
+    disable() {
+        this.enabled = false;
+        // Drop any half-finished gesture so resuming starts clean
+        this.reset();
+        return this;
+    }
+
+    setOptions(options = {}) {
+        if (this.destroyed) return this;
+        const prevContainer = this.options.container;
+        const prevCheckbox = this.options.checkbox;
+        const prevProtect = this.options.protect;
+        this.options = { ...this.options, ...options };
+
+        this.analyzer.setOptions(options);
+        if (options.baseline !== undefined) this.baseline = Vhum._baselineFor(this.options.baseline);
+        if (options.telemetry !== undefined) this.telemetry = Vhum._telemetryFor(this.options.telemetry);
+
+        if (this.options.container !== prevContainer || this.options.checkbox !== prevCheckbox ||
+            this.options.protect !== prevProtect) {
+            this._detach();
+            this.reset();
+            if (this._resolveElements()) this.init();
+        } else {
+            if (options.worker !== undefined) {
+                this._teardownWorker();
+                if (this.options.worker) this._initWorker();
+            }
+            if (options.debug !== undefined) {
+                this._teardownDebug();
+                if (this.options.debug) this._initDebug();
+            }
+        }
+        return this;
+    }
+
+    loadModel(model) {
+        this.analyzer.loadModel(model);
+        return this;
+    }
+
+    exportModel() {
+        return this.analyzer.exportModel();
+    }
+
+    destroy() {
+        if (this.destroyed) return this;
+        this._detach();
+        if (this.tracker) this.tracker.forget(this);
+        this.reset();
+        this._waiters.forEach(waiter => waiter.cancel(Vhum._error('AbortError', 'Vhum: instance destroyed')));
+        this.listeners = {};
+        this.enabled = false;
+        this.destroyed = true;
+        this.area = null;
+        this.check = null;
+        return this;
+    }
+
+    handleEntry(e, t = Vhum._eventTime(e)) {
+        this.t_entry = t;
+        this.entry_pos = { x: e.clientX, y: e.clientY };
+    }
+
+    handleStart(e, t = Vhum._eventTime(e)) {
+        this._lastKeyWasTab = false;
+        this.pressApproach = this.approach.filter(p => t - p.t <= this.options.approachWindow);
+        this._moveSource = null;
+        this.t_down = t;
+        this.t_up = 0;
+        this.isTracking = true;
+        // Calibration is fixed for the gesture so the stream can normalize as it goes
+        this._calibration = Vhum.captureCalibration(this.options.pxPerMm);
+        this._resetStream(this.analyzer.options.normalize ? VhumAnalyzer.calibrationScale(this._calibration) : 1);
+        this.emit('trackstart', { inputSource: this.lastInputSource, t });
+        this.addPoint(e, t);
+    }
+
+    _resetStream(scale = 1) {
+        this.stream = new VhumStream({ capacity: this.options.bufferSize, scale });
+    }
+
+    // Samples of the current gesture (bounded by bufferSize)
+    get points() {
+        return this.stream.points;
+    }
+
+    // pointermove, mousemove and touchmove all fire for the same motion;
+    // the first stream seen in a gesture owns it so samples aren't doubled
+    _claimMoveSource(source) {
+        if (this._moveSource && this._moveSource !== source) return false;
+        this._moveSource = source;
+        return true;
+    }
+
+    handleMove(e, source = 'mouse', t = Vhum._eventTime(e)) {
+        if (!this.isTracking || !this._claimMoveSource(source)) return;
+        this.addPoint(e, t);
+    }
+
+    // Pre-press trajectory, bounded by approachWindow (ms) and approachLimit
+    handleHover(e, source) {
+        const mode = this.options.approach;
+        if (!mode || (mode === 'container' && !this._inside)) return;
+        if (!this._claimMoveSource(source)) return;
+
+        const t = Vhum._eventTime(e);
+        this.approach.push({ x: e.clientX, y: e.clientY, t });
+        while (this.approach.length > this.options.approachLimit ||
+            t - this.approach[0].t > this.options.approachWindow) {
+            this.approach.shift();
+        }
+    }
+
+    handlePointerMove(e) {
+        if (!this.isTracking || !this._claimMoveSource('pointer')) return;
+        const samples = typeof e.getCoalescedEvents === 'function' ? e.getCoalescedEvents() : [];
+        if (samples.length <= 1) return this.addPoint(e);
+        // Coalesced samples share one dispatch, their own timeStamp keeps them apart
+        samples.forEach((sample, i) => this.addPoint(sample, Vhum._eventTime(sample), i < samples.length - 1));
+    }
+
+    /**
+     * The finger a touch gesture follows. The first contact that isn't a palm
+     * starts it; further fingers and palms landing mid-gesture are only
+     * counted, so they can't jump the trace to another contact.
+     */
+    _primaryTouch(e) {
+        const touches = Array.from(e.changedTouches || e.touches || []);
+        if (this.isTracking && this.lastInputSource === 'touch') {
+            touches.forEach(touch => {
+                if (Vhum._isPalm(touch)) this.contacts.palms++;
+                else this.contacts.extra++;
+            });
+            return null;
+        }
+        this.contacts = { extra: 0, palms: 0 };
+        const touch = touches.find(c => !Vhum._isPalm(c)) || null;
+        this.contacts.palms = touches.filter(Vhum._isPalm).length;
+        this.contacts.extra = Math.max(0, touches.length - this.contacts.palms - 1);
+        this._touchId = touch ? touch.identifier : null;
+        return touch;
+    }
+
+    static _isPalm(touch) {
+        return Math.max(touch.radiusX || 0, touch.radiusY || 0) > Vhum.PALM_RADIUS;
+    }
+
+    static _findTouch(touches, id) {
+        const list = Array.from(touches || []);
+        return id === null ? list[0] || null : list.find(touch => touch.identifier === id) || null;
+    }
+
+    // Touch contact geometry, from a Touch or a touch PointerEvent (width/height/twist/pressure)
+    static _contact(e) {
+        if (typeof e.radiusX === 'number') {
+            return {
+                identifier: e.identifier,
+                radiusX: e.radiusX,
+                radiusY: e.radiusY || 0,
+                rotationAngle: e.rotationAngle || 0,
+                force: e.force || 0
+            };
+        }
+        if (e.pointerType !== 'touch') return null;
+        return {
+            identifier: e.pointerId,
+            radiusX: (e.width || 0) / 2,
+            radiusY: (e.height || 0) / 2,
+            rotationAngle: e.twist || 0,
+            force: e.pressure || 0
+        };
+    }
+
+    addPoint(e, t = Vhum._eventTime(e), coalesced = false) {
+        const point = { x: e.clientX, y: e.clientY, t };
+        if (coalesced) point.coalesced = true;
+        if (typeof e.movementX === 'number') {
+            point.movementX = e.movementX;
+            point.movementY = e.movementY;
+        }
+        if (e.pointerType === 'pen') {
+            point.pressure = e.pressure;
+            point.tiltX = e.tiltX || 0;
+            point.tiltY = e.tiltY || 0;
+            point.width = e.width || 0;
+            point.height = e.height || 0;
+        }
+        const contact = Vhum._contact(e);
+        if (contact) Object.assign(point, contact);
+        this.stream.push(point);
+        this.emit('sample', { point, count: this.stream.count });
+    }
+
+    handleFocus(e) {
+        // Only Tab-driven focus moves count as traversal; click or focus() restarts it
+        if (!this._lastKeyWasTab) this.focusTrail = [];
+        this.focusTrail.push(Vhum._eventTime(e));
+        if (this.focusTrail.length > 16) this.focusTrail.shift();
+    }
+
+    handleKeyDown(e) {
+        const now = Vhum._eventTime(e);
+        const code = Vhum._keyClass(e);
+        this._lastKeyWasTab = code === 'Tab';
+        if (e.repeat) return;
+
+        this.keys.push({ code, down: now, up: 0 });
+        if (this.keys.length > 32) this.keys.shift();
+
+        if (code === 'Space' && Vhum._eventTarget(e) === this.check && !this.isTracking && !this.activeChallenge) {
+            this.lastInputSource = 'keyboard';
+            this.t_entry = this.focusTrail.length ? this.focusTrail[this.focusTrail.length - 1] : now;
+            this.t_down = now;
+            this._calibration = null;
+            this._resetStream();
+            this.isTracking = true;
+            this.emit('trackstart', { inputSource: 'keyboard', t: now });
+        }
+    }
+
+    handleKeyUp(e) {
+        const code = Vhum._keyClass(e);
+        for (let i = this.keys.length - 1; i >= 0; i--) {
+            if (this.keys[i].code === code && !this.keys[i].up) {
+                this.keys[i].up = Vhum._eventTime(e);
+                break;
+            }
+        }
+        if (code === 'Space' && this.isTracking && this.lastInputSource === 'keyboard') {
+            this.handleEnd(e);
+            this.lastInputSource = null;
+            this.keys = [];
+        }
+    }
+
+    // Window listeners see a shadow-DOM checkbox retargeted to its host
+    static _eventTarget(e) {
+        return typeof e.composedPath === 'function' ? e.composedPath()[0] : e.target;
+    }
+
+    // Only the key class is kept, never the typed characters
+    static _keyClass(e) {
+        if (e.key === 'Tab') return 'Tab';
+        if (e.key === ' ' || e.code === 'Space') return 'Space';
+        if (e.key === 'Enter') return 'Enter';
+        if (e.key === 'Shift') return 'Shift';
+        return 'other';
+    }
+
+    static _eventTime(e) {
+        const now = performance.now();
+        // timeStamp shares performance.now()'s origin; very old engines used epoch ms
+        return e && typeof e.timeStamp === 'number' && e.timeStamp > 0 && e.timeStamp <= now ? e.timeStamp : now;
+    }
+
+    handleEnd(e) {
+        if (!this.isTracking) return;
+        this.isTracking = false;
+        this._pointerPress = false;
+        this.t_up = Vhum._eventTime(e);
+        this._lastGestureEnd = performance.now();
+        this.emit('trackend', { inputSource: this.lastInputSource, t: this.t_up, count: this.stream.count });
+        try {
+            const pending = this.finalize();
+            if (pending && typeof pending.catch === 'function') pending.catch(error => this.emit('error', error));
+        } catch (error) {
+            // Scoring failures surface as 'error' instead of escaping the DOM handler
+            this.emit('error', error);
+        }
+    }
+
+    finalize() {
+        const session = this.captureSession();
+        this.t_entry = 0;
+        this.approach = [];
+        this.pressApproach = [];
+
+        if (this._worker && this._workerFaithful()) {
+            return this._scoreInWorker(session).then(result => this._settle(session, this._adopt(result)));
+        }
+        return this._settle(session, this.scoreSession(session));
+    }
+
+    _settle(session, result) {
+        if (this.destroyed) return result;
+        this._publish(session, result);
+        if (result.verdict === VhumAnalyzer.VERDICT.UNCERTAIN && this.options.stepUp) this.startChallenge();
+        return result;
+    }
+
+    _publish(session, result) {
+        if (this.options.record) this._recordTrace(session, result);
+        if (this.options.challenge) this._issueToken(session, result);
+
+        this.lastResult = result;
+        this.tracker.report(this, result);
+        if (this.baseline && !session.challenge) this.baseline.enroll(result);
+        if (this.telemetry) this.telemetry.record(result, session);
+        if (this.debug) this.debug.show(session, result, true);
+        this._applyProtection(result);
+        this._announceResult(result);
+        this.emit('result', result);
+    }
+
+    // `baseline: true` shares the origin's default profile; an options object
+    // ({ store, key, ttl, span, minSamples }) or a VhumBaseline also work
+    static _baselineFor(option) {
+        if (!option) return null;
+        if (option instanceof VhumBaseline) return option;
+        return VhumBaseline.shared(option === true ? {} : option);
+    }
+
+    // `telemetry: true` aggregates into the page-wide collector; an options
+    // object ({ transport, endpoint, sampleRate, reference, ... }) gets its own
+    static _telemetryFor(option) {
+        if (!option) return null;
+        if (option instanceof VhumTelemetry) return option;
+        return option === true ? VhumTelemetry.shared() : new VhumTelemetry(option);
+    }
+
+    // Forgets the enrolled profile (one modality or all of them)
+    clearBaseline(inputType) {
+        return this.baseline ? this.baseline.clear(inputType) : Promise.resolve(null);
+    }
+
+    /**
+     * Shows a step-up challenge (slider, trace or hold). Keyboard users always
+     * get the hold task, which works with the Space key.
+     */
+    startChallenge(type) {
+        if (this.destroyed || !this.area) return;
+        if (this.activeChallenge) this.activeChallenge.unmount();
+
+        // With a server challenge, only the step-ups it issued can be verified
+        const issued = this.options.challenge ? this.options.challenge.stepUp || {} : null;
+        const types = (Array.isArray(this.options.stepUp) ? this.options.stepUp : Object.keys(VhumChallenge.TYPES))
+            .filter(t => !issued || issued[t]);
+        if (!type) {
+            type = this.inputType === InputTypeDetector.TYPES.KEYBOARD ? 'hold' :
+                types[this._challengeCount % types.length];
+        }
+        if (!type || (issued && !issued[type])) return;
+        this._challengeCount++;
+
+        const container = typeof this.options.stepUpContainer === 'string' ?
+            document.querySelector(this.options.stepUpContainer) : (this.options.stepUpContainer || this.area);
+        const challenge = VhumChallenge.create(type, this, issued && issued[type]);
+        this.activeChallenge = challenge;
+        this.emit('challenge', { type });
+        this.announce(this._message('challenge_' + type));
+
+        challenge.mount(container).then(session => {
+            if (this.activeChallenge !== challenge || this.destroyed) return;
+            this.activeChallenge = null;
+            const result = this.scoreSession(session);
+            if (result.verdict === VhumAnalyzer.VERDICT.HUMAN) this.check.checked = true;
+            this._publish(session, result);
+        });
+        return challenge;
+    }
+
+    /**
+     * Resolves with the next final result, or the best of `count` results
+     * (human first, then lowest bot probability). Uncertain verdicts that
+     * hand over to a step-up challenge are skipped; the challenge outcome
+     * counts instead. Rejects with a TimeoutError after `timeout` ms, with
+     * the signal's reason when `signal` aborts, and with an AbortError when
+     * the instance is destroyed.
+     */
+    verify({ timeout = 0, signal = null, count = 1 } = {}) {
+        return new Promise((resolve, reject) => {
+            if (this.destroyed) return reject(Vhum._error('AbortError', 'Vhum: instance destroyed'));
+            if (signal && signal.aborted) return reject(Vhum._abortReason(signal));
+
+            const results = [];
+            let timer = null;
+            const waiter = {};
+            const settle = (fn, value) => {
+                this.off('result', onResult);
+                if (timer) clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                this._waiters.delete(waiter);
+                fn(value);
+            };
+            const onResult = (result) => {
+                if (result.verdict === VhumAnalyzer.VERDICT.UNCERTAIN && this.options.stepUp) return;
+                results.push(result);
+                if (results.length >= count) settle(resolve, Vhum._best(results));
+            };
+            const onAbort = () => settle(reject, Vhum._abortReason(signal));
+            waiter.cancel = (error) => settle(reject, error);
+
+            this._waiters.add(waiter);
+            this.on('result', onResult);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            if (timeout > 0) {
+                timer = setTimeout(() => settle(reject, Vhum._error('TimeoutError', 'Vhum: no result within ' + timeout + ' ms')), timeout);
+            }
+        });
+    }
+
+    /**
+     * Async iterator over every result, buffered until consumed; ends when
+     * `signal` aborts, the loop breaks or the instance is destroyed.
+     *   for await (const result of vhum.results({ signal })) { ... }
+     */
+    results({ signal = null } = {}) {
+        const queue = [];
+        const pending = [];
+        let done = false;
+        const waiter = {};
+        const finish = () => {
+            if (done) return;
+            done = true;
+            this.off('result', onResult);
+            if (signal) signal.removeEventListener('abort', finish);
+            this._waiters.delete(waiter);
+            pending.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+        };
+        const onResult = (result) => {
+            if (pending.length) pending.shift()({ value: result, done: false });
+            else queue.push(result);
+        };
+        waiter.cancel = finish;
+
+        if (this.destroyed || (signal && signal.aborted)) {
+            done = true;
+        } else {
+            this._waiters.add(waiter);
+            this.on('result', onResult);
+            if (signal) signal.addEventListener('abort', finish, { once: true });
+        }
+        return {
+            next: () => {
+                if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+                if (done) return Promise.resolve({ value: undefined, done: true });
+                return new Promise(resolve => pending.push(resolve));
+            },
+            return: () => {
+                finish();
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+
+    [Symbol.asyncIterator]() {
+        return this.results();
+    }
+
+    static _best(results) {
+        const rank = r => r.verdict === VhumAnalyzer.VERDICT.HUMAN ? 0 : r.verdict === VhumAnalyzer.VERDICT.UNCERTAIN ? 1 : 2;
+        return results.slice().sort((a, b) => rank(a) - rank(b) || a.probability - b.probability)[0];
+    }
+
+    static _error(name, message) {
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    static _abortReason(signal) {
+        return signal.reason !== undefined ? signal.reason : Vhum._error('AbortError', 'Vhum: verification aborted');
+    }
+
+    _message(key) {
+        return { ...Vhum.MESSAGES, ...this.options.messages }[key];
+    }
+
+    _issueToken(session, result) {
+        Vhum.createToken(Vhum.serializeTrace(session, result), this.options.challenge)
+            .then(token => {
+                result.token = token;
+                if (this.lastResult === result && result.verdict === 1) this._applyProtection(result);
+                this.emit('token', { token, result });
+            })
+            .catch(error => this.emit('error', error));
+    }
+
+    captureSession() {
+        const rect = this.check.getBoundingClientRect();
+        const session = {
+            points: this.stream.points,
+            stream: this.stream,
+            dropped: this.stream.dropped,
+            inputSource: this.lastInputSource,
+            entry: { x: this.entry_pos.x, y: this.entry_pos.y },
+            t_entry: this.t_entry,
+            t_down: this.t_down,
+            t_up: this.t_up || performance.now(),
+            target: { left: rect.left, top: rect.top, width: rect.width, height: rect.height },
+            keys: this.lastInputSource === 'keyboard' ? this.keys.map(k => ({ ...k })) : [],
+            focus: this.lastInputSource === 'keyboard' ? this.focusTrail.slice() : [],
+            approach: this.lastInputSource === 'mouse' || this.lastInputSource === 'pen' ? this.pressApproach : []
+        };
+        if (this.lastInputSource === 'touch' && (this.contacts.extra || this.contacts.palms)) {
+            session.contacts = { ...this.contacts };
+        }
+        if (this.options.environment) session.environment = this.environment.collect(session);
+        this.environment.reset();
+        if (this._calibration) session.calibration = this._calibration;
+        const baseline = this.baseline && this.baseline.snapshot(this.lastInputSource);
+        if (baseline) session.baseline = baseline;
+        return session;
+    }
+
+    /**
+     * Device context for normalization, stored with sessions and traces.
+     * Without an explicit pxPerMm, CSS px density is estimated from the device
+     * class: ~96 per inch on desktops, ~160 on phones, ~132 on tablets.
+     */
+    static captureCalibration(pxPerMm = null) {
+        if (typeof window === 'undefined') return null;
+        const screen = window.screen || {};
+        const viewport = window.visualViewport;
+        const coarse = typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+        const shortSide = Math.min(screen.width || 0, screen.height || 0);
+
+        // Desktop page zoom isn't exposed; outer/inner width tracks it, and
+        // devicePixelRatio scales with it, so dpr / zoom must land on a real
+        // display scale (rules out docked devtools and side panels)
+        const dpr = window.devicePixelRatio || 1;
+        let pageZoom = 1;
+        if (!coarse && window.outerWidth > 0 && window.innerWidth > 0) {
+            const ratio = Math.round(window.outerWidth / window.innerWidth * 20) / 20;
+            const native = dpr / ratio;
+            if (ratio >= 0.25 && ratio <= 5 && Math.abs(ratio - 1) > 0.05 &&
+                [1, 1.25, 1.5, 1.75, 2, 2.5, 3].some(d => Math.abs(native - d) < 0.08)) {
+                pageZoom = ratio;
+            }
+        }
+
+        let estimate = 96 / 25.4 / pageZoom;
+        if (coarse) estimate = (shortSide && shortSide < 600 ? 160 : 132) / 25.4;
+
+        return {
+            dpr,
+            zoom: viewport && viewport.scale > 0 ? viewport.scale : 1,
+            pageZoom,
+            screen: [screen.width || 0, screen.height || 0],
+            viewport: [window.innerWidth || 0, window.innerHeight || 0],
+            coarse,
+            pxPerMm: pxPerMm > 0 ? pxPerMm : estimate
+        };
+    }
+
+    scoreSession(session) {
+        return this._adopt(this.analyzer.analyze(session));
+    }
+
+    _adopt(result) {
+        this.inputType = result.inputType;
+        this.nn = this.analyzer.nnFor(this.inputType);
+        this.scorer = this.analyzer.scorerFor(this.inputType);
+        return result;
+    }
+
+    /**
+     * Optional Web Worker scoring (`worker: true` or the URL of vhum.js). The
+     * worker loads this same script and runs VhumAnalyzer on the captured
+     * session, exactly like a replay; CSP or load failures fall back to the
+     * main thread.
+     */
+    _initWorker() {
+        const option = this.options.worker;
+        const url = typeof option === 'string' ? option : Vhum.SCRIPT_URL;
+        if (!option || !url || typeof Worker === 'undefined' || typeof Blob === 'undefined') return;
+        try {
+            const source = [
+                'importScripts(' + JSON.stringify(new URL(url, location.href).href) + ');',
+                'onmessage = function (e) {',
+                '    var result = null, error = null;',
+                '    try { result = new VhumAnalyzer(e.data.options).analyze(e.data.session); }',
+                '    catch (err) { error = String(err && err.message || err); }',
+                '    postMessage({ id: e.data.id, result: result, error: error });',
+                '};'
+            ].join('\n');
+            this._workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            this._worker = new Worker(this._workerUrl);
+        } catch (e) {
+            this._teardownWorker();
+            return;
+        }
+        this._workerJobs = new Map();
+        this._workerSeq = 0;
+        this._worker.onmessage = (e) => {
+            const job = this._workerJobs.get(e.data.id);
+            if (!job) return;
+            this._workerJobs.delete(e.data.id);
+            job.resolve(e.data.error ? this.analyzer.analyze(job.session) : e.data.result);
+        };
+        this._worker.onerror = (e) => {
+            this._teardownWorker();
+            this.emit('error', new Error('Vhum: worker failed, scoring on the main thread' + (e && e.message ? ' (' + e.message + ')' : '')));
+        };
+    }
+
+    // The worker loads a fresh vhum.js and gets the model via exportModel():
+    // custom environment checks, or scorers it can't rebuild from JSON, would
+    // change the verdict, so those sessions are scored on the main thread
+    _workerFaithful() {
+        return !VhumEnvironment.customized() &&
+            VhumAnalyzer.MODALITIES.every(type => Vhum._portableScorer(this.analyzer.scorers[type]));
+    }
+
+    static _portableScorer(scorer) {
+        if (!scorer) return true;
+        if (scorer.constructor === VhumEnsembleScorer) return scorer.members.every(m => Vhum._portableScorer(m.scorer));
+        return (scorer.constructor === VhumPerceptronScorer || scorer.constructor === VhumMlpScorer) &&
+            typeof scorer.toJSON === 'function';
+    }
+
+    _scoreInWorker(session) {
+        const { stream, ...data } = session;
+        const id = ++this._workerSeq;
+        return new Promise(resolve => {
+            this._workerJobs.set(id, { session, resolve });
+            this._worker.postMessage({ id, session: data, options: { ...this.analyzer.options, model: this.exportModel() } });
+        });
+    }
+
+    _teardownWorker() {
+        if (this._worker) this._worker.terminate();
+        if (this._workerUrl) URL.revokeObjectURL(this._workerUrl);
+        this._worker = null;
+        this._workerUrl = null;
+        // Anything still in flight is scored here instead
+        if (this._workerJobs) {
+            this._workerJobs.forEach(job => job.resolve(this.analyzer.analyze(job.session)));
+            this._workerJobs.clear();
+        }
+    }
+
+    _recordTrace(session, result) {
+        const trace = Vhum.serializeTrace(session, result);
+        const limit = this.options.recordLimit !== undefined ? this.options.recordLimit : 50;
+        this.traces.push(trace);
+        if (this.traces.length > limit) this.traces.splice(0, this.traces.length - limit);
+        this.emit('trace', trace);
+    }
+
+    getTraces() {
+        return this.traces.slice();
+    }
+
+    clearTraces() {
+        this.traces = [];
+        return this;
+    }
+
+    static serializeTrace(session, result = null) {
+        return {
+            v: Vhum.TRACE_VERSION,
+            src: session.inputSource,
+            entry: [session.entry.x, session.entry.y],
+            t_entry: session.t_entry,
+            t_down: session.t_down,
+            t_up: session.t_up,
+            target: [session.target.left, session.target.top, session.target.width, session.target.height],
+            points: session.points.map(Vhum._packPoint),
+            keys: (session.keys || []).map(k => [k.code, k.down, k.up]),
+            focus: (session.focus || []).slice(),
+            approach: (session.approach || []).map(Vhum._packPoint),
+            challenge: session.challenge || null,
+            env: session.environment || null,
+            cal: session.calibration || null,
+            dropped: session.dropped || 0,
+            bl: session.baseline || null,
+            contacts: session.contacts || null,
+            result: result ? {
+                probability: result.probability,
+                verdict: result.verdict,
+                inputType: result.inputType,
+                thresholdUsed: result.thresholdUsed,
+                inputs: result.inputs,
+                analysisDetails: result.analysisDetails
+            } : null
+        };
+    }
+
+    // [x, y, t] plus an optional object with per-device extras
+    static _packPoint(p) {
+        const { x, y, t, ...extra } = p;
+        return Object.keys(extra).length ? [x, y, t, extra] : [x, y, t];
+    }
+
+    static _unpackPoint(p) {
+        if (p.length === 4 && typeof p[3] === 'object') return { x: p[0], y: p[1], t: p[2], ...p[3] };
+        if (p.length > 4) {
+            // v1 pen layout
+            return { x: p[0], y: p[1], t: p[2], pressure: p[3], tiltX: p[4], tiltY: p[5], width: p[6], height: p[7] };
+        }
+        return { x: p[0], y: p[1], t: p[2] };
+    }
+
+    static parseTrace(trace) {
+        const data = typeof trace === 'string' ? JSON.parse(trace) : trace;
+        if (!data || data.v < 1 || data.v > Vhum.TRACE_VERSION) {
+            throw new Error('Vhum: unsupported trace version ' + (data && data.v));
+        }
+        return {
+            points: data.points.map(Vhum._unpackPoint),
+            keys: (data.keys || []).map(k => ({ code: k[0], down: k[1], up: k[2] })),
+            focus: (data.focus || []).slice(),
+            approach: (data.approach || []).map(Vhum._unpackPoint),
+            challenge: data.challenge || null,
+            environment: data.env || null,
+            calibration: data.cal || null,
+            dropped: data.dropped || 0,
+            baseline: data.bl || null,
+            contacts: data.contacts || null,
+            inputSource: data.src,
+            entry: { x: data.entry[0], y: data.entry[1] },
+            t_entry: data.t_entry,
+            t_down: data.t_down,
+            t_up: data.t_up,
+            target: { left: data.target[0], top: data.target[1], width: data.target[2], height: data.target[3] }
+        };
+    }
+
+    /**
+     * Signs a serialized trace with the HMAC key from a server-issued
+     * challenge ({ nonce, expires, key, stepUp }). The server re-derives the
+     * key from its secret, so only the issuing server can verify the token.
+     */
+    static async createToken(trace, challenge) {
+        if (!challenge || !challenge.nonce || !challenge.key) {
+            throw new Error('Vhum: createToken() requires a server-issued challenge { nonce, expires, key }');
+        }
+        const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+        if (!subtle) throw new Error('Vhum: WebCrypto is not available (secure context required)');
+
+        const payload = {
+            v: Vhum.TOKEN_VERSION,
+            nonce: challenge.nonce,
+            expires: challenge.expires,
+            ts: Date.now(),
+            trace
+        };
+        // Echoed so the server can re-derive the key it bound them into
+        if (challenge.stepUp) payload.stepUp = challenge.stepUp;
+        const encoder = new TextEncoder();
+        const body = Vhum._base64url(encoder.encode(JSON.stringify(payload)));
+        const key = await subtle.importKey('raw', Vhum._fromBase64url(challenge.key),
+            { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const signature = await subtle.sign('HMAC', key, encoder.encode(body));
+        return body + '.' + Vhum._base64url(new Uint8Array(signature));
+    }
+
+    static _base64url(bytes) {
+        let binary = '';
+        bytes.forEach(b => binary += String.fromCharCode(b));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static _fromBase64url(str) {
+        const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    /**
+     * Re-scores a recorded trace without touching the DOM. Pass the same
+     * thresholds/model used at capture time to get bit-identical results.
+     */
+    static replay(trace, options = {}) {
+        return new VhumAnalyzer(options).analyze(Vhum.parseTrace(trace));
+    }
+
+    // Page-level score across every Vhum target sharing the default tracker
+    static pageScore() {
+        return VhumTracker.shared().aggregate();
+    }
+
+    /**
+     * Headless scoring of either a recorded trace or a raw session object
+     * ({ points, inputSource, entry, t_entry, t_down, t_up, target }).
+     */
+    static analyze(input, options = {}) {
+        const session = input && input.v !== undefined ? Vhum.parseTrace(input) : input;
+        return new VhumAnalyzer(options).analyze(session);
+    }
+}
+
+/**
+ * Opt-in debug overlay for tuning thresholds. Draws the gesture on a canvas
+ * over the container: the Fitts line from the entry point to the target
+ * center, segments colored by speed or acceleration, pauses, frame-synced
+ * intervals and the direction bins. A side panel plots velocity and dt
+ * timelines and steps through recent gestures or loaded traces, sample by
+ * sample.
+ */
+class VhumDebug {
+    static HISTORY = 20;
+    static PAUSE_MS = 80;
+    static COLORS = { target: '#198754', fitts: '#6c757d', approach: '#adb5bd', pause: '#fd7e14', synced: '#d63384', cursor: '#0d6efd' };
+
+    /**
+     * DOM-free geometry behind the overlay, using the analyzer's own rules:
+     * speed and acceleration on the 8 ms consolidated grid (in reference
+     * pixels, like the scored features), pauses and dispatch timing on the
+     * raw samples.
+     */
+    static annotate(session) {
+        const points = session.points || [];
+        const scale = VhumAnalyzer.calibrationScale(session.calibration);
+
+        const grid = VhumAnalyzer.consolidate(points, VhumAnalyzer.MIN_SAMPLE_DT);
+        const segments = [];
+        const directions = new Array(8).fill(0);
+        let prevSpeed = null;
+        for (let i = 1; i < grid.length; i++) {
+            const a = grid[i - 1], b = grid[i];
+            const dx = (b.x - a.x) * scale, dy = (b.y - a.y) * scale;
+            const dt = Math.max(VhumAnalyzer.MIN_SAMPLE_DT, b.t - a.t) / 1000;
+            const speed = Math.hypot(dx, dy) / dt;
+            let direction = null;
+            if (Math.hypot(dx, dy) >= 0.5) {
+                direction = ((Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) % 8) + 8) % 8;
+                directions[direction]++;
+            }
+            segments.push({ from: a, to: b, t: b.t, speed, accel: prevSpeed === null ? 0 : (speed - prevSpeed) / dt, direction });
+            prevSpeed = speed;
+        }
+
+        const samples = [];
+        const pauses = [];
+        let dispatched = null;
+        points.forEach((p, i) => {
+            const dt = i ? p.t - points[i - 1].t : 0;
+            let synced = false;
+            if (!p.coalesced) {
+                if (dispatched) {
+                    const gap = p.t - dispatched.t;
+                    synced = TimingAccumulator.REFRESH_RATES.some(rate => Math.abs(gap - rate) < 0.5 || Math.abs(gap - rate * 2) < 0.5);
+                }
+                dispatched = p;
+            }
+            const pause = dt > VhumDebug.PAUSE_MS;
+            if (pause) pauses.push({ x: points[i - 1].x, y: points[i - 1].y, t: points[i - 1].t, duration: dt });
+            samples.push({ x: p.x, y: p.y, t: p.t, dt, synced, pause, coalesced: !!p.coalesced });
+        });
+
+        const target = session.target;
+        const entry = session.entry;
+        const center = { x: target.left + target.width / 2, y: target.top + target.height / 2 };
+        const D = Math.hypot(center.x - entry.x, center.y - entry.y);
+        const W = Math.min(target.width, target.height);
+
+        return {
+            samples,
+            segments,
+            pauses,
+            directions,
+            approach: session.approach || [],
+            target,
+            fitts: { entry, center, D, W, ID: Math.max(0, Math.log2((2 * D) / (W + 1) + 1)) },
+            t0: points.length ? points[0].t : 0,
+            t1: points.length ? points[points.length - 1].t : 0
+        };
+    }
+
+    constructor(options = {}) {
+        this.options = {
+            vhum: null,
+            container: null,
+            metric: 'speed', // or 'accel'
+            maxSpeed: 3000,  // px/s at full red
+            maxAccel: 30000, // px/s^2 at full red
+            ...options
+        };
+        this.vhum = this.options.vhum;
+        this.container = typeof this.options.container === 'string' ?
+            document.querySelector(this.options.container) : this.options.container || (this.vhum && this.vhum.area);
+        this.entries = [];
+        this.index = -1;
+        this.cursor = -1;
+        this._listeners = [];
+        this._build();
+    }
+
+    _build() {
+        const overlay = document.createElement('canvas');
+        overlay.style.cssText = 'position:fixed;pointer-events:none;z-index:2147483646;';
+        document.body.appendChild(overlay);
+
+        const panel = document.createElement('div');
+        panel.style.cssText = 'position:fixed;right:8px;bottom:8px;z-index:2147483647;width:320px;padding:6px;' +
+            'background:rgba(255,255,255,.95);border:1px solid #ced4da;border-radius:6px;font:11px monospace;color:#212529;';
+        const timeline = document.createElement('canvas');
+        timeline.width = 320;
+        timeline.height = 140;
+        timeline.style.cssText = 'display:block;width:100%;';
+        const readout = document.createElement('div');
+        readout.style.cssText = 'margin:4px 0;white-space:pre;';
+        const controls = document.createElement('div');
+        [['⏮', () => this.prev()], ['◀', () => this.step(-1)], ['▶', () => this.step(1)], ['⏭', () => this.next()],
+            ['speed/accel', () => this.setMetric(this.options.metric === 'speed' ? 'accel' : 'speed')]].forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            this._on(button, 'click', action);
+            controls.appendChild(button);
+        });
+        const file = document.createElement('input');
+        file.type = 'file';
+        file.accept = 'application/json,.json';
+        this._on(file, 'change', () => {
+            if (!file.files || !file.files[0]) return;
+            file.files[0].text().then(text => this.load(text)).catch(error => {
+                if (this.readout) this.readout.textContent = 'could not load traces: ' + error.message;
+                if (this.vhum) this.vhum.emit('error', error);
+            });
+        });
+        controls.appendChild(file);
+        panel.appendChild(timeline);
+        panel.appendChild(readout);
+        panel.appendChild(controls);
+        document.body.appendChild(panel);
+
+        this.overlay = overlay;
+        this.panel = panel;
+        this.timeline = timeline;
+        this.readout = readout;
+        // The overlay is fixed over the container's viewport rect
+        this._on(window, 'scroll', () => this.render(), { passive: true });
+        this._on(window, 'resize', () => this.render(), { passive: true });
+    }
+
+    _on(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this._listeners.push([target, type, handler, options]);
+    }
+
+    destroy() {
+        this._listeners.forEach(([target, type, handler, options]) => target.removeEventListener(type, handler, options));
+        this._listeners = [];
+        if (this.overlay) this.overlay.remove();
+        if (this.panel) this.panel.remove();
+        this.overlay = this.panel = this.timeline = this.readout = null;
+    }
+
+    // `live` gestures are drawn where they happened; loaded traces are fitted to the overlay
+    show(session, result = null, live = false) {
+        this.entries.push({ session, result, live, annotation: VhumDebug.annotate(session) });
+        if (this.entries.length > VhumDebug.HISTORY) this.entries.shift();
+        this.index = this.entries.length - 1;
+        this.cursor = -1;
+        this.render();
+        return this;
+    }
+
+    /**
+     * Saved traces (one, an array or their JSON), re-scored with the current
+     * analyzer options so threshold changes show up right away.
+     */
+    load(traces) {
+        const data = typeof traces === 'string' ? JSON.parse(traces) : traces;
+        const options = this.vhum ? { ...this.vhum.analyzer.options, model: this.vhum.exportModel() } : {};
+        this.entries = [];
+        (Array.isArray(data) ? data : [data]).forEach(trace => {
+            const session = Vhum.parseTrace(trace);
+            this.entries.push({ session, result: Vhum.replay(trace, options), live: false, annotation: VhumDebug.annotate(session) });
+        });
+        this.entries = this.entries.slice(-VhumDebug.HISTORY);
+        return this.select(0);
+    }
+
+    select(index) {
+        if (!this.entries.length) return this;
+        this.index = Math.max(0, Math.min(this.entries.length - 1, index));
+        this.cursor = -1;
+        this.render();
+        return this;
+    }
+
+    next() {
+        return this.select(this.index + 1);
+    }
+
+    prev() {
+        return this.select(this.index - 1);
+    }
+
+    // Moves the sample cursor; -1 shows the whole gesture without one
+    step(delta = 1) {
+        return this.seek(this.cursor + delta);
+    }
+
+    seek(cursor) {
+        const entry = this.entries[this.index];
+        if (!entry) return this;
+        this.cursor = Math.max(-1, Math.min(entry.annotation.samples.length - 1, cursor));
+        this.render();
+        return this;
+    }
+
+    setMetric(metric) {
+        this.options.metric = metric;
+        this.render();
+        return this;
+    }
+
+    get current() {
+        return this.entries[this.index] || null;
+    }
+
+    render() {
+        if (!this.overlay) return;
+        const entry = this.current;
+        this._drawOverlay(entry);
+        this._drawTimeline(entry);
+        this.readout.textContent = entry ? this._describe(entry) : 'no gesture yet';
+    }
+
+    // Blue (slow) to red (fast), or by |acceleration|
+    _color(segment) {
+        const value = this.options.metric === 'accel' ?
+            Math.abs(segment.accel) / this.options.maxAccel : segment.speed / this.options.maxSpeed;
+        return 'hsl(' + Math.round(240 * (1 - Math.min(1, value))) + ',85%,45%)';
+    }
+
+    _view(entry, rect) {
+        if (entry.live) return { k: 1, x: p => p.x - rect.left, y: p => p.y - rect.top };
+        const { samples, approach, fitts, target } = entry.annotation;
+        const all = samples.concat(approach, [fitts.entry, { x: target.left, y: target.top },
+            { x: target.left + target.width, y: target.top + target.height }]);
+        const xs = all.map(p => p.x), ys = all.map(p => p.y);
+        const left = Math.min(...xs), top = Math.min(...ys);
+        const pad = 12;
+        const k = Math.min((rect.width - 2 * pad) / Math.max(1, Math.max(...xs) - left),
+            (rect.height - 2 * pad) / Math.max(1, Math.max(...ys) - top));
+        return { k, x: p => pad + (p.x - left) * k, y: p => pad + (p.y - top) * k };
+    }
+
+    _drawOverlay(entry) {
+        const rect = this.container ? this.container.getBoundingClientRect() : { left: 0, top: 0, width: 0, height: 0 };
+        const dpr = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        const canvas = this.overlay;
+        canvas.style.left = rect.left + 'px';
+        canvas.style.top = rect.top + 'px';
+        canvas.style.width = rect.width + 'px';
+        canvas.style.height = rect.height + 'px';
+        canvas.width = Math.round(rect.width * dpr);
+        canvas.height = Math.round(rect.height * dpr);
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, rect.width, rect.height);
+        if (!entry) return;
+
+        const C = VhumDebug.COLORS;
+        const a = entry.annotation;
+        const v = this._view(entry, rect);
+        const line = (from, to) => {
+            ctx.beginPath();
+            ctx.moveTo(v.x(from), v.y(from));
+            ctx.lineTo(v.x(to), v.y(to));
+            ctx.stroke();
+        };
+
+        ctx.strokeStyle = C.target;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(v.x({ x: a.target.left }), v.y({ y: a.target.top }), a.target.width * v.k, a.target.height * v.k);
+
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = C.fitts;
+        line(a.fitts.entry, a.fitts.center);
+        ctx.setLineDash([]);
+        ctx.fillStyle = C.fitts;
+        ctx.font = '10px monospace';
+        ctx.fillText('ID ' + a.fitts.ID.toFixed(2), v.x(a.fitts.entry) + 4, v.y(a.fitts.entry) - 4);
+
+        ctx.strokeStyle = C.approach;
+        for (let i = 1; i < a.approach.length; i++) line(a.approach[i - 1], a.approach[i]);
+
+        ctx.lineWidth = 2;
+        a.segments.forEach(segment => {
+            ctx.strokeStyle = this._color(segment);
+            line(segment.from, segment.to);
+        });
+
+        ctx.fillStyle = C.synced;
+        a.samples.forEach(sample => {
+            if (sample.synced) ctx.fillRect(v.x(sample) - 1.5, v.y(sample) - 1.5, 3, 3);
+        });
+
+        ctx.strokeStyle = C.pause;
+        ctx.fillStyle = C.pause;
+        ctx.lineWidth = 1;
+        a.pauses.forEach(pause => {
+            ctx.beginPath();
+            ctx.arc(v.x(pause), v.y(pause), 3 + Math.min(12, pause.duration / 40), 0, 2 * Math.PI);
+            ctx.stroke();
+            ctx.fillText(Math.round(pause.duration) + 'ms', v.x(pause) + 6, v.y(pause) + 12);
+        });
+
+        if (this.cursor >= 0) {
+            const sample = a.samples[this.cursor];
+            ctx.strokeStyle = C.cursor;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(v.x(sample), v.y(sample), 5, 0, 2 * Math.PI);
+            ctx.stroke();
+        }
+
+        // Direction bins as a rose in the corner (bin 0 points right, y grows down)
+        const total = a.directions.reduce((x, y) => x + y, 0);
+        if (total) {
+            const cx = rect.width - 28, cy = 28;
+            ctx.strokeStyle = C.fitts;
+            ctx.lineWidth = 3;
+            a.directions.forEach((count, bin) => {
+                const length = 22 * count / Math.max(...a.directions);
+                const angle = bin * Math.PI / 4;
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.lineTo(cx + Math.cos(angle) * length, cy + Math.sin(angle) * length);
+                ctx.stroke();
+            });
+        }
+    }
+
+    // Velocity on top, dt per raw sample below with the pause threshold
+    _drawTimeline(entry) {
+        const canvas = this.timeline;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+        const w = canvas.width, h = canvas.height, half = h / 2;
+        ctx.clearRect(0, 0, w, h);
+        if (!entry) return;
+
+        const C = VhumDebug.COLORS;
+        const a = entry.annotation;
+        const span = Math.max(1, a.t1 - a.t0);
+        const x = t => 2 + (w - 4) * (t - a.t0) / span;
+
+        const peak = Math.max(1, ...a.segments.map(s => s.speed));
+        ctx.lineWidth = 1;
+        a.segments.forEach(segment => {
+            ctx.strokeStyle = this._color(segment);
+            ctx.beginPath();
+            ctx.moveTo(x(segment.from.t), half - 4 - (half - 8) * segment.speed / peak);
+            ctx.lineTo(x(segment.to.t), half - 4 - (half - 8) * segment.speed / peak);
+            ctx.stroke();
+        });
+
+        const dtMax = VhumDebug.PAUSE_MS * 1.5;
+        const y = dt => h - 2 - (half - 6) * Math.min(1, dt / dtMax);
+        a.samples.forEach(sample => {
+            ctx.fillStyle = sample.pause ? C.pause : sample.synced ? C.synced : C.approach;
+            ctx.fillRect(x(sample.t) - 1, y(sample.dt), 2, h - 2 - y(sample.dt));
+        });
+        ctx.strokeStyle = C.pause;
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(0, y(VhumDebug.PAUSE_MS));
+        ctx.lineTo(w, y(VhumDebug.PAUSE_MS));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = C.fitts;
+        ctx.font = '10px monospace';
+        ctx.fillText('v max ' + Math.round(peak) + ' px/s', 4, 10);
+        ctx.fillText('dt (pause > ' + VhumDebug.PAUSE_MS + ' ms)', 4, half + 10);
+
+        if (this.cursor >= 0) {
+            ctx.strokeStyle = C.cursor;
+            ctx.beginPath();
+            ctx.moveTo(x(a.samples[this.cursor].t), 0);
+            ctx.lineTo(x(a.samples[this.cursor].t), h);
+            ctx.stroke();
+        }
+    }
+
+    _describe(entry) {
+        const { result, annotation: a } = entry;
+        const lines = [(this.index + 1) + '/' + this.entries.length + (entry.live ? ' live' : ' trace') +
+            ' · ' + a.samples.length + ' samples · ' + a.pauses.length + ' pauses · ' +
+            a.samples.filter(s => s.synced).length + ' synced'];
+        if (result) {
+            lines.push(result.inputType + ' ' + result.outcome + ' p=' + result.probability + ' / ' + result.thresholdUsed +
+                (result.explanation && result.explanation.reasons.length ? '\n' + result.explanation.reasons.join(' ') : ''));
+        }
+        if (this.cursor >= 0) {
+            const sample = a.samples[this.cursor];
+            const segment = a.segments.filter(s => s.t <= sample.t).pop();
+            lines.push('#' + this.cursor + ' t+' + (sample.t - a.t0).toFixed(1) + 'ms dt=' + sample.dt.toFixed(1) +
+                (segment ? ' v=' + Math.round(segment.speed) + ' a=' + Math.round(segment.accel) : '') +
+                (sample.synced ? ' synced' : '') + (sample.pause ? ' pause' : ''));
+        }
+        return lines.join('\n');
+    }
+}
+
+/**
+ * <vhum-check> drop-in element. Renders its own checkbox and tracking area
+ * in shadow DOM, wraps a Vhum instance and shows the idle, analyzing,
+ * verified, suspicious and challenge states (also reflected in the `state`
+ * attribute). Takes part in forms through ElementInternals and mirrors the
+ * instance events as DOM events: vhum-result, vhum-challenge, vhum-token.
+ *
+ *   <vhum-check name="vhum" threshold-mouse="0.7" required lang="pt-BR"></vhum-check>
+ */
+const VhumCheck = typeof HTMLElement === 'undefined' ? null : class VhumCheck extends HTMLElement {
+    static formAssociated = true;
+
+    static THRESHOLDS = {
+        'threshold-mouse': 'thresholdMouse',
+        'threshold-touch': 'thresholdTouch',
+        'threshold-pen': 'thresholdPen',
+        'threshold-keyboard': 'thresholdKeyboard'
+    };
+
+    // UI text plus Vhum.MESSAGES for screen-reader announcements, by language
+    static STRINGS = {
+        en: {
+            ...Vhum.MESSAGES,
+            label: "I'm not a robot",
+            idle: '',
+            analyzing: 'Analyzing...',
+            verified: 'Verified',
+            suspicious: 'Suspicious behavior, try again',
+            challenge: 'One more step',
+            required: 'Please verify that you are human.'
+        },
+        pt: {
+            human: 'Verificação concluída.',
+            bot: 'Falha na verificação. Tente novamente.',
+            uncertain: 'Precisamos de mais uma etapa para verificar você.',
+            challenge_slider: 'Arraste o círculo até o espaço tracejado.',
+            challenge_trace: 'Contorne a curva da esquerda para a direita.',
+            challenge_hold: 'Pressione e segure o botão por cerca de um segundo, depois solte.',
+            hold_button: 'Segure',
+            label: 'Não sou um robô',
+            idle: '',
+            analyzing: 'Analisando...',
+            verified: 'Verificado',
+            suspicious: 'Comportamento suspeito, tente de novo',
+            challenge: 'Mais uma etapa',
+            required: 'Confirme que você é humano.'
+        }
+    };
+
+    static STYLE = `
+        :host { display: inline-block; font: var(--vhum-font, inherit); color: var(--vhum-fg, #1f2328); }
+        :host([hidden]) { display: none; }
+        .area { display: flex; flex-wrap: wrap; align-items: center; gap: 12px; padding: var(--vhum-padding, 12px 16px);
+            border: var(--vhum-border-width, 2px) solid var(--vhum-border, #d0d7de); border-radius: var(--vhum-radius, 8px);
+            background: var(--vhum-bg, #fff); cursor: pointer; user-select: none; transition: border-color .2s ease; }
+        input { width: var(--vhum-check-size, 24px); height: var(--vhum-check-size, 24px); margin: 0;
+            accent-color: var(--vhum-accent, #0969da); cursor: inherit; }
+        label { cursor: inherit; }
+        .status { margin-left: auto; font-size: .85em; color: var(--vhum-muted, #656d76); }
+        .vhum-challenge { flex-basis: 100%; }
+        :host([state="analyzing"]) .area { border-color: var(--vhum-accent, #0969da); }
+        :host([state="verified"]) .area { border-color: var(--vhum-success, #1a7f37); }
+        :host([state="verified"]) .status { color: var(--vhum-success, #1a7f37); }
+        :host([state="suspicious"]) .area { border-color: var(--vhum-danger, #cf222e); }
+        :host([state="suspicious"]) .status { color: var(--vhum-danger, #cf222e); }
+        :host([state="challenge"]) .area { border-color: var(--vhum-warning, #9a6700); }
+        :host([state="challenge"]) .status { color: var(--vhum-warning, #9a6700); }
+        :host([disabled]) .area { opacity: .5; cursor: not-allowed; }
+    `;
+
+    static get observedAttributes() {
+        return Object.keys(VhumCheck.THRESHOLDS).concat('lang');
+    }
+
+    constructor() {
+        super();
+        this._internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+        this._options = {};
+        this._strings = null;
+        this.vhum = null;
+        this.state = 'idle';
+        this.result = null;
+        this.value = null;
+
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = '<style>' + VhumCheck.STYLE + '</style>' +
+            '<div class="area" part="area">' +
+            '<input type="checkbox" id="check" part="checkbox">' +
+            '<label for="check" part="label"><slot></slot></label>' +
+            '<span class="status" part="status" aria-hidden="true"></span>' +
+            '</div>';
+        this._area = root.querySelector('.area');
+        this._check = root.querySelector('input');
+        this._label = root.querySelector('slot');
+        this._status = root.querySelector('.status');
+
+        // The checkbox only reflects verdicts, never a bare toggle
+        this._check.addEventListener('click', (e) => e.preventDefault());
+    }
+
+    connectedCallback() {
+        this._renderStrings();
+        if (this.vhum) return;
+        const options = {
+            ...this._options,
+            container: this._area,
+            checkbox: this._check,
+            messages: { ...this.strings, ...this._options.messages }
+        };
+        Object.keys(VhumCheck.THRESHOLDS).forEach(attr => {
+            const value = parseFloat(this.getAttribute(attr));
+            if (isFinite(value)) options[VhumCheck.THRESHOLDS[attr]] = value;
+        });
+        this.vhum = new Vhum(options);
+        this.vhum.on('trackstart', () => {
+            if (!this.vhum.activeChallenge) this._setState('analyzing');
+        });
+        this.vhum.on('result', (result) => this._onResult(result));
+        this.vhum.on('challenge', (detail) => {
+            this._setState('challenge');
+            this._dispatch('vhum-challenge', detail);
+        });
+        this.vhum.on('token', (detail) => {
+            if (detail.result === this.result && detail.result.verdict === VhumAnalyzer.VERDICT.HUMAN) this._setValue(detail.token);
+            this._dispatch('vhum-token', detail);
+        });
+        if (this.hasAttribute('disabled')) this.vhum.disable();
+        this._updateValidity();
+    }
+
+    disconnectedCallback() {
+        if (this.vhum) this.vhum.destroy();
+        this.vhum = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (name === 'lang') {
+            this._strings = null;
+            this._renderStrings();
+            if (this.vhum) this.vhum.setOptions({ messages: { ...this.strings, ...this._options.messages } });
+            return;
+        }
+        const number = parseFloat(value);
+        if (this.vhum && isFinite(number)) this.vhum.setOptions({ [VhumCheck.THRESHOLDS[name]]: number });
+    }
+
+    // Extra Vhum options (model, baseline, challenge, worker, ...); the
+    // element owns container and checkbox
+    get options() {
+        return this._options;
+    }
+
+    set options(options) {
+        const { container, checkbox, ...rest } = options || {};
+        this._options = rest;
+        if (this.vhum) this.vhum.setOptions(rest);
+    }
+
+    // Closest lang attribute, then the document's, matched exactly or by base language
+    get language() {
+        const owner = this.closest && this.closest('[lang]');
+        const lang = (owner && owner.getAttribute('lang')) ||
+            (typeof navigator !== 'undefined' && navigator.language) || 'en';
+        return lang.toLowerCase();
+    }
+
+    get strings() {
+        if (this._strings) return this._strings;
+        const lang = this.language;
+        const table = VhumCheck.STRINGS;
+        const match = Object.keys(table).find(key => key.toLowerCase() === lang) ||
+            Object.keys(table).find(key => key.toLowerCase() === lang.split('-')[0]) || 'en';
+        return { ...table.en, ...table[match] };
+    }
+
+    set strings(strings) {
+        this._strings = { ...VhumCheck.STRINGS.en, ...strings };
+        this._renderStrings();
+        if (this.vhum) this.vhum.setOptions({ messages: { ...this._strings, ...this._options.messages } });
+    }
+
+    get form() {
+        return this._internals ? this._internals.form : null;
+    }
+
+    get name() {
+        return this.getAttribute('name');
+    }
+
+    get verified() {
+        return this.state === 'verified' && !!this.value;
+    }
+
+    get validity() {
+        return this._internals ? this._internals.validity : null;
+    }
+
+    get validationMessage() {
+        return this._internals ? this._internals.validationMessage : '';
+    }
+
+    checkValidity() {
+        return this._internals ? this._internals.checkValidity() : true;
+    }
+
+    reportValidity() {
+        return this._internals ? this._internals.reportValidity() : true;
+    }
+
+    reset() {
+        if (this.vhum) {
+            if (this.vhum.activeChallenge) this.vhum.activeChallenge.unmount();
+            this.vhum.activeChallenge = null;
+            this.vhum.reset();
+        }
+        this.result = null;
+        this._check.checked = false;
+        this._setValue(null);
+        this._setState('idle');
+    }
+
+    formResetCallback() {
+        this.reset();
+    }
+
+    formDisabledCallback(disabled) {
+        this._check.disabled = disabled;
+        if (!this.vhum) return;
+        if (disabled) this.vhum.disable();
+        else this.vhum.enable();
+    }
+
+    _onResult(result) {
+        const V = VhumAnalyzer.VERDICT;
+        this.result = result;
+        const human = result.verdict === V.HUMAN;
+        this._check.checked = human;
+        // With a server challenge the form value waits for the signed token
+        this._setValue(!human ? null : this._options.challenge ? result.token || null : JSON.stringify({
+            probability: result.probability,
+            verdict: result.verdict,
+            inputType: result.inputType
+        }));
+        if (human) this._setState('verified');
+        else if (result.verdict === V.BOT || !this.vhum.options.stepUp) this._setState('suspicious');
+        this._dispatch('vhum-result', result);
+    }
+
+    _setValue(value) {
+        this.value = value;
+        if (this._internals) this._internals.setFormValue(value);
+        this._updateValidity();
+    }
+
+    _updateValidity() {
+        if (!this._internals) return;
+        if (this.hasAttribute('required') && !this.value) {
+            this._internals.setValidity({ valueMissing: true }, this.strings.required, this._check);
+        } else {
+            this._internals.setValidity({});
+        }
+    }
+
+    _setState(state) {
+        const previous = this.state;
+        this.state = state;
+        this.setAttribute('state', state);
+        if (this._internals && this._internals.states) {
+            try {
+                this._internals.states.delete(previous);
+                this._internals.states.add(state);
+            } catch (e) {
+                // Older engines only accept the --state syntax; the attribute still works
+            }
+        }
+        this._status.textContent = this.strings[state] || '';
+    }
+
+    _renderStrings() {
+        this._label.textContent = this.strings.label;
+        this._status.textContent = this.strings[this.state] || '';
+    }
+
+    _dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+};
+
+if (VhumCheck && typeof customElements !== 'undefined' && !customElements.get('vhum-check')) {
+    customElements.define('vhum-check', VhumCheck);
+}
+
+Vhum.InputTypeDetector = InputTypeDetector;
+Vhum.AdaptivePerceptron = AdaptivePerceptron;
+Vhum.VhumAnalyzer = VhumAnalyzer;
+Vhum.VhumTracker = VhumTracker;
+Vhum.VhumChallenge = VhumChallenge;
+Vhum.VhumEnvironment = VhumEnvironment;
+Vhum.VhumStream = VhumStream;
+Vhum.VhumScorer = VhumScorer;
+Vhum.VhumPerceptronScorer = VhumPerceptronScorer;
+Vhum.VhumMlpScorer = VhumMlpScorer;
+Vhum.VhumEnsembleScorer = VhumEnsembleScorer;
+Vhum.VhumTelemetry = VhumTelemetry;
+Vhum.VhumDebug = VhumDebug;
+Vhum.VhumCheck = VhumCheck;
+Vhum.VhumBaseline = VhumBaseline;
+
+// Captured while the script runs, for loading it again inside a Worker
+Vhum.SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+
 // Export for different environments
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Vhum;
@@ -0,0 +1,235 @@
+/**
+ * Tests for the analysis core. Run with: node --test v3/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Vhum = require('./vhum.js');
+const VhumEvaluator = require('./vhum-eval.js');
+
+const { VhumAnalyzer } = Vhum;
+
+// `n` samples spread evenly over `span` ms
+function sparse(n, span) {
+    return Array.from({ length: n }, (_, i) => ({ x: 100 + i * 40, y: 100 + i * 10, t: 1000 + i * span / (n - 1) }));
+}
+
+test('resample keeps only the most recent grid samples', () => {
+    const pts = sparse(4, 60000);
+    const grid = VhumAnalyzer.resample(pts, 8, 256);
+    assert.strictEqual(grid.length, 256);
+    assert.strictEqual(grid[grid.length - 1].t, VhumAnalyzer.resample(pts, 8).pop().t);
+});
+
+test('profile analyses look at a bounded grid however long the gesture', () => {
+    const analyzer = new VhumAnalyzer();
+    const long = analyzer.analyzeMinimumJerk(sparse(1024, 204600));
+    assert.ok(long.submovements.reduce((n, m) => n + m.duration, 0) <= VhumAnalyzer.MIN_JERK_SAMPLES * 8);
+    assert.ok(analyzer.analyzeTremor(sparse(4, 60000)).samples <= VhumAnalyzer.TREMOR_SAMPLES);
+});
+
+test('a trained perceptron round-trips through its exported model', () => {
+    const samples = new VhumEvaluator().score(VhumEvaluator.corpus({ seed: 3, count: 20, inputTypes: ['mouse'] }));
+    const nn = new Vhum.AdaptivePerceptron('mouse');
+    const report = nn.train(samples, { epochs: 200 });
+    assert.strictEqual(report.accuracy, nn.evaluate(samples).accuracy);
+    assert.ok(report.accuracy > 0.5, `accuracy ${report.accuracy}`);
+
+    const copy = Vhum.AdaptivePerceptron.fromJSON(JSON.stringify(nn.toJSON()));
+    samples.forEach(s => assert.strictEqual(copy.predict(s.inputs), nn.predict(s.inputs)));
+    assert.deepStrictEqual(copy.evaluate(samples), nn.evaluate(samples));
+    assert.deepStrictEqual(new VhumAnalyzer().loadModel({ mouse: nn.toJSON() }).exportModel().mouse, nn.toJSON());
+
+    assert.throws(() => new Vhum.AdaptivePerceptron('mouse').load({ ...nn.toJSON(), version: 99 }), /unsupported model version/);
+    assert.throws(() => new Vhum.AdaptivePerceptron('touch').load(nn.toJSON()), /model is for mouse/);
+});
+
+test('a recorded trace replays to the identical result', () => {
+    const generator = new VhumEvaluator.TraceGenerator(11);
+    ['minimumJerk', 'touchTap', 'puppeteer'].forEach(kind => {
+        const { session } = generator.generate(kind);
+        const live = new VhumAnalyzer().analyze(session);
+        const trace = JSON.parse(JSON.stringify(Vhum.serializeTrace(session, live)));
+        const replayed = Vhum.replay(trace);
+        assert.strictEqual(replayed.probability, live.probability, kind);
+        assert.strictEqual(replayed.verdict, trace.result.verdict, kind);
+        assert.deepStrictEqual(replayed.inputs, live.inputs, kind);
+        assert.deepStrictEqual(replayed.analysisDetails, live.analysisDetails, kind);
+    });
+});
+
+test('a stream filled point by point scores like the batch analysis', () => {
+    const generator = new VhumEvaluator.TraceGenerator(13);
+    ['minimumJerk', 'humanizer', 'touchTap'].forEach(kind => {
+        const { session } = generator.generate(kind);
+        const stream = new Vhum.VhumStream();
+        session.points.forEach(p => stream.push(p));
+        const streamed = new VhumAnalyzer().analyze({ ...session, stream });
+        const batch = new VhumAnalyzer().analyze(session);
+        assert.strictEqual(streamed.probability, batch.probability, kind);
+        assert.deepStrictEqual(streamed.inputs, batch.inputs, kind);
+        assert.deepStrictEqual(streamed.analysisDetails, batch.analysisDetails, kind);
+    });
+});
+
+test('the stream keeps running statistics past its buffer', () => {
+    const { session } = new VhumEvaluator.TraceGenerator(13).generate('minimumJerk');
+    const stream = new Vhum.VhumStream({ capacity: 8 });
+    session.points.forEach(p => stream.push(p));
+    const summary = stream.summary();
+    assert.deepStrictEqual(stream.points, session.points.slice(-8));
+    assert.strictEqual(summary.counts.samples, session.points.length);
+    assert.strictEqual(summary.counts.dropped, session.points.length - 8);
+    assert.deepStrictEqual(summary.speed, Vhum.VhumStream.from(session.points).summary().speed);
+});
+
+test('the baseline enrolls human sessions and scores the next one against them', async () => {
+    const saved = {};
+    const store = { get: key => saved[key], set: (key, value) => { saved[key] = JSON.parse(JSON.stringify(value)); }, remove: key => { delete saved[key]; } };
+    const baseline = new Vhum.VhumBaseline({ store, key: 'test' });
+    await baseline.ready;
+
+    const generator = new VhumEvaluator.TraceGenerator(17);
+    const analyzer = new VhumAnalyzer();
+    const humans = [];
+    while (humans.length < Vhum.VhumBaseline.MIN_SAMPLES + 1) {
+        const result = analyzer.analyze(generator.generate('minimumJerk').session);
+        if (result.verdict === Vhum.VERDICT.HUMAN) humans.push(result);
+    }
+    assert.strictEqual(baseline.enroll(analyzer.analyze(generator.generate('linear').session)), false);
+    humans.slice(0, -1).forEach((result, i) => {
+        assert.strictEqual(baseline.snapshot('mouse'), null, `after ${i} sessions`);
+        assert.strictEqual(baseline.enroll(result), true);
+    });
+    const snapshot = baseline.snapshot('mouse');
+    assert.strictEqual(snapshot.n, Vhum.VhumBaseline.MIN_SAMPLES);
+
+    const reloaded = new Vhum.VhumBaseline({ store, key: 'test' });
+    await reloaded.ready;
+    assert.deepStrictEqual(reloaded.snapshot('mouse'), snapshot);
+
+    const { session } = generator.generate('minimumJerk');
+    const scored = analyzer.analyze({ ...session, baseline: snapshot });
+    assert.strictEqual(scored.features.baseline.samples, snapshot.n);
+    assert.ok(scored.inputs.baseline >= 0 && scored.inputs.baseline <= 1);
+    assert.strictEqual(analyzer.analyze(session).features.baseline, null);
+});
+
+test('an exported MLP loads into the analyzer and scores like the trained one', () => {
+    const samples = new VhumEvaluator().score(VhumEvaluator.corpus({ seed: 19, count: 20, inputTypes: ['mouse'] }));
+    const mlp = new Vhum.VhumMlpScorer('mouse');
+    mlp.train(samples, { epochs: 200 });
+
+    const analyzer = new VhumAnalyzer().loadModel(JSON.stringify({ mouse: mlp.toJSON() }));
+    assert.ok(analyzer.scorerFor('mouse') instanceof Vhum.VhumMlpScorer);
+    assert.deepStrictEqual(analyzer.exportModel().mouse, mlp.toJSON());
+
+    const { session } = new VhumEvaluator.TraceGenerator(23).generate('minimumJerk');
+    const result = analyzer.analyze(session);
+    const expected = mlp.predict({ inputs: result.inputs, details: result.analysisDetails });
+    assert.strictEqual(result.probability, Math.round(expected.probability * 10000) / 10000);
+
+    const model = mlp.toJSON();
+    assert.throws(() => new Vhum.VhumMlpScorer('mouse', { ...model, features: undefined }), /no feature list/);
+    assert.throws(() => new Vhum.VhumMlpScorer('mouse', { ...model, hidden: model.hidden.slice(1) }), /inconsistent layers/);
+    assert.throws(() => new Vhum.VhumMlpScorer('touch', model), /model is for mouse/);
+});
+
+// A Vhum without a DOM: no widget, but the emitter and promise API still work
+function headless(options) {
+    const error = console.error;
+    console.error = () => {};
+    try {
+        return new Vhum(options);
+    } finally {
+        console.error = error;
+    }
+}
+
+test('verify() resolves with the best result and rejects on timeout, abort and destroy', async () => {
+    const { HUMAN, BOT, UNCERTAIN } = Vhum.VERDICT;
+    const vhum = headless();
+    const best = vhum.verify({ count: 2 });
+    vhum.emit('result', { verdict: UNCERTAIN, probability: 0.5 });
+    vhum.emit('result', { verdict: BOT, probability: 0.9 });
+    vhum.emit('result', { verdict: HUMAN, probability: 0.2 });
+    assert.deepStrictEqual(await best, { verdict: HUMAN, probability: 0.2 });
+
+    await assert.rejects(vhum.verify({ timeout: 5 }), { name: 'TimeoutError' });
+    const controller = new AbortController();
+    const aborted = vhum.verify({ signal: controller.signal });
+    controller.abort(new Error('left the page'));
+    await assert.rejects(aborted, /left the page/);
+
+    const pending = vhum.verify();
+    vhum.destroy();
+    await assert.rejects(pending, { name: 'AbortError' });
+    await assert.rejects(vhum.verify(), { name: 'AbortError' });
+});
+
+test('results() buffers results until consumed and ends on abort', async () => {
+    const vhum = headless();
+    const controller = new AbortController();
+    const iterator = vhum.results({ signal: controller.signal });
+    vhum.emit('result', { verdict: Vhum.VERDICT.BOT, probability: 0.9 });
+    vhum.emit('result', { verdict: Vhum.VERDICT.HUMAN, probability: 0.1 });
+
+    const seen = [];
+    for await (const result of iterator) {
+        seen.push(result.probability);
+        if (seen.length === 2) controller.abort();
+    }
+    assert.deepStrictEqual(seen, [0.9, 0.1]);
+    assert.deepStrictEqual(vhum.listeners.result, []);
+});
+
+test('a throwing listener reaches the error listeners without stopping the others', () => {
+    const vhum = headless();
+    const calls = [], errors = [];
+    vhum.on('result', () => { throw new Error('broken handler'); });
+    vhum.on('result', () => calls.push('second'));
+    vhum.on('error', error => errors.push(error.message));
+    vhum.emit('result', {});
+    assert.deepStrictEqual(calls, ['second']);
+    assert.deepStrictEqual(errors, ['broken handler']);
+
+    // With no 'error' listeners the error is reported instead of dropped
+    const Emitter = Object.getPrototypeOf(Vhum);
+    const report = Emitter.report;
+    const reported = [];
+    Emitter.report = error => reported.push(error.message);
+    try {
+        headless().emit('error', new Error('unhandled'));
+    } finally {
+        Emitter.report = report;
+    }
+    assert.deepStrictEqual(reported, ['unhandled']);
+});
+
+test('telemetry reports drift against a reference window', async () => {
+    const generator = new VhumEvaluator.TraceGenerator(29);
+    const analyzer = new VhumAnalyzer();
+    const score = kind => Array.from({ length: Vhum.VhumTelemetry.MIN_SAMPLES }, () => analyzer.analyze(generator.generate(kind).session));
+    const humans = score('minimumJerk');
+    const bots = score('linear');
+
+    const telemetry = new Vhum.VhumTelemetry();
+    humans.forEach(result => telemetry.record(result));
+    const reference = telemetry.summary();
+    assert.strictEqual(telemetry.drift(reference).mouse.drifted, false);
+
+    const batches = [], drifts = [];
+    const live = new Vhum.VhumTelemetry({ reference, transport: batch => { batches.push(batch); }, batchSize: Infinity, flushInterval: 0 });
+    live.on('drift', report => drifts.push(report));
+    bots.slice(1).forEach(result => live.record(result));
+    assert.deepStrictEqual(live.drift(), {});
+    live.record(bots[0]);
+
+    const batch = await live.flush();
+    assert.strictEqual(batches[0], batch);
+    assert.strictEqual(batch.drift.mouse.drifted, true);
+    assert.ok(batch.drift.mouse.psi > Vhum.VhumTelemetry.DRIFT.psi, `psi ${batch.drift.mouse.psi}`);
+    assert.deepStrictEqual(drifts, [batch.drift]);
+    assert.deepStrictEqual(live.summary().types, {});
+    live.destroy();
+});